@@ -1,37 +1,79 @@
 import {
   BODIES_TYPES,
-  BOUNCE_FIXES_LIMIT,
-  getNextId
+  getNextId,
+  setCollisionFilter,
+  setShape,
+  setPolygon,
+  resizeBody,
+  serializeBody,
+  restoreBody
 } from '../common';
+import Emitter from '../emitter';
+
+/**
+ * Скорость отскока, пунктов/мс, ниже которой отскок гасится
+ * и тело остается на поверхности
+ *
+ * @type  {Number}
+ */
+const REST_SPEED = 0.05;
 
 /**
  * Класс упругого тела
  */
-class BodyBounce {
+class BodyBounce extends Emitter {
   /**
    * Конструктор
    *
-   * @param  {Object}  options          Объект с параметрами
-   * @param  {Number}  options.x        Позиция по оси X
-   * @param  {Number}  options.y        Позиция по оси Y
-   * @param  {Number}  options.width    Ширина
-   * @param  {Number}  options.height   Высота
-   * @param  {Object}  options.force    Вектор движения тела
-   * @param  {Number}  options.force.x  Движения по оси X, пунктов/с
-   * @param  {Number}  options.force.y  Движение по оси Y, пунктов/с
-   * @param  {Number}  options.gravity  Значение гравитации физического мира
+   * @param  {Object}  options           Объект с параметрами
+   * @param  {Number}  options.x         Позиция по оси X
+   * @param  {Number}  options.y         Позиция по оси Y
+   * @param  {Number}  options.width     Ширина
+   * @param  {Number}  options.height    Высота
+   * @param  {Number}  options.radius    Радиус круглого тела,
+   *                                     заменяет ширину и высоту
+   * @param  {Array}   options.vertices  Вершины { x, y } выпуклого
+   *                                     многоугольника относительно
+   *                                     позиции, заменяют ширину и высоту,
+   *                                     смещаются так, чтобы позиция
+   *                                     была центром их обрамляющего
+   *                                     прямоугольника
+   * @param  {Object}  options.force     Вектор движения тела
+   * @param  {Number}  options.force.x   Движения по оси X, пунктов/с
+   * @param  {Number}  options.force.y   Движение по оси Y, пунктов/с
+   * @param  {Number}  options.gravity      Значение гравитации
+   *                                        физического мира
+   * @param  {Number}  options.mass         Масса, учитывается
+   *                                        при столкновениях с игроками
+   *                                        и упругими телами
+   * @param  {Number}  options.restitution  Упругость от 0 до 1 - доля
+   *                                        скорости по нормали,
+   *                                        сохраняемая при отскоке
+   * @param  {Number}  options.friction     Трение, умножается на трение
+   *                                        поверхности столкновения
+   * @param  {Number}  options.sleepTime    Время покоя до засыпания, мс,
+   *                                        0 - тело не засыпает
+   * @param  {Number}  options.category     Битовая категория тела
+   * @param  {Number}  options.mask         Маска категорий столкновений
+   * @param  {Number}  options.group        Группа фильтрации столкновений
    */
   constructor(options) {
+    super();
+
     // Позиция объекта
     this.position = {
       x: options.x,
       y: options.y
     };
-    // Размеры объекта
-    this.size = {
-      width: options.width,
-      height: options.height
+    // Позиция объекта до последнего шага обновления
+    // Необходима для интерполяции при отрисовке
+    this.prevPosition = {
+      x: options.x,
+      y: options.y
     };
+    // Форма и размеры
+    setShape(this, options);
+    setPolygon(this, options);
     // Направление движения
     // Делится на 1000, так как в параметрах приходит пунктов/с,
     // а необходимо пунктов/мс
@@ -41,33 +83,53 @@ class BodyBounce {
     };
     // Значение гравитации
     this.gravity = options.gravity;
+    // Масса
+    this.mass = options.mass || 1;
+    // Упругость
+    this.restitution = options.restitution !== undefined
+      ? options.restitution
+      : 0.5;
+    // Трение
+    this.friction = options.friction !== undefined
+      ? options.friction
+      : 0.3;
 
-    // Скорость отскока по оси Y
-    // Меняется знак,
-    // так как отскок происходит в отрицательном направлении оси Y
-    this.reboundSpeed = this.force.y > 0 ? -this.force.y : this.force.y;
     // Индикатор [-1, 0, 1] перемещения тела по оси Y на текущем кадре
     // Необходимо для корректировки позиции при коллизии
     this.moveDirectionY = 0;
+    // Тело, на котором стоит упругое тело
+    this.groundBody = null;
+    // Статус покоя на опоре
+    this.isResting = false;
+    // Время покоя до засыпания
+    this.sleepTime = options.sleepTime !== undefined
+      ? options.sleepTime
+      : 500;
+    // Время непрерывного покоя
+    this.sleepTimer = 0;
+    // Статус сна, спящее тело не обновляется
+    this.isSleeping = false;
+    // Статус пробуждения, событие которого еще не вызвано
+    this.isAwakened = false;
     // Статус обновления позиции или размеров на текущем тике
     this.isUpdated = false;
-
-
-    this.countCollisionsFix = {
-      x: 0,
-      y: 0
-    };
+    // Размеры, ожидающие применения
+    this.pendingSize = null;
+    // Статус блокировки увеличения размеров другими телами
+    this.isSizeBlocked = false;
 
     // Уникальный числовой идентификатор
     this.id = getNextId();
     // Установка свойства типа объекта
     this.type = BODIES_TYPES.BOUNCE;
+    // Установка параметров фильтрации столкновений
+    setCollisionFilter(this, options);
     // Свойство для хранения пользовательских данных
     this.userData = {};
 
     // Расчет половинных значений ширины и высоты
-    const halfWidth = options.width / 2;
-    const halfHeight = options.height / 2;
+    const halfWidth = this.size.width / 2;
+    const halfHeight = this.size.height / 2;
     // Расчет значений нормализованных (приведенных к началу координат)
     // координат обрамляющего прямоугольника
     this.normalBounds = {
@@ -85,10 +147,65 @@ class BodyBounce {
       min: { x: 0, y: 0 },
       max: { x: 0, y: 0 }
     };
+    // Инициализация значения координат вершин многоугольного тела
+    this.vertices = this.normalVertices
+      ? this.normalVertices.map(() => ({ x: 0, y: 0 }))
+      : null;
     // Обновление координат обрамляющего прямоугольника
     this._updateBounds();
   }
 
+  /**
+   * Изменение размеров тела
+   * Уменьшение применяется сразу, увеличение - при следующем обновлении
+   * физического мира, если тело в новых размерах не пересечет тела,
+   * с которыми оно сталкивается, кроме пуль, иначе откладывается
+   * до освобождения места, а свойство isSizeBlocked устанавливается в true
+   *
+   * @param   {Number}   width     Ширина
+   * @param   {Number}   height    Высота
+   * @param   {String}   [anchor]  Точка привязки: center - центр,
+   *                               bottom - нижняя сторона (ноги),
+   *                               top - верхняя сторона
+   * @return  {Boolean}            Применено ли изменение сразу
+   */
+  setSize(width, height, anchor) {
+    const size = {
+      width: width,
+      height: height,
+      anchor: anchor || 'center'
+    };
+
+    // Уменьшение размеров не может привести к пересечению с другими телами
+    if(width <= this.size.width && height <= this.size.height) {
+      this.applySize(size);
+      return true;
+    }
+
+    this.pendingSize = size;
+    return false;
+  }
+
+  /**
+   * Применение размеров тела
+   * Вызывается физическим движком для отложенного изменения размеров
+   *
+   * @param  {Object}  size         Объект с размерами
+   * @param  {Number}  size.width   Ширина
+   * @param  {Number}  size.height  Высота
+   * @param  {String}  size.anchor  Точка привязки
+   */
+  applySize(size) {
+    resizeBody(this, size);
+
+    this.pendingSize = null;
+    this.isSizeBlocked = false;
+    this._updateBounds();
+    // Изменение размеров может оторвать тело от опоры
+    this.isResting = false;
+    this.wake();
+  }
+
   /**
    * Установка позиции телу игрока
    *
@@ -97,6 +214,14 @@ class BodyBounce {
    * @param  {Number}  position.y  Координата по оси Y
    */
   setPosition(position) {
+    // Перемещенное тело выходит из покоя и просыпается,
+    // при столкновении статус покоя устанавливается после перемещения
+    if(position.x !== this.position.x ||
+       position.y !== this.position.y) {
+      this.isResting = false;
+      this.wake();
+    }
+
     // Установка позиции
     this.position.x = position.x;
     this.position.y = position.y;
@@ -107,33 +232,66 @@ class BodyBounce {
     // так как это будет сделано в следующий тик в методе update
   }
 
+  /**
+   * Установка направления движения
+   * Спящее тело просыпается
+   *
+   * @param  {Object}  force    Вектор движения тела
+   * @param  {Number}  force.x  Движение по оси X, пунктов/с
+   * @param  {Number}  force.y  Движение по оси Y, пунктов/с
+   */
+  setForce(force) {
+    this.force.x = force.x / 1000;
+    this.force.y = force.y / 1000;
+
+    this.wake();
+  }
+
+  /**
+   * Перевод тела в состояние сна
+   * Вызывается физическим движком после покоя в течение sleepTime
+   */
+  sleep() {
+    this.isSleeping = true;
+    this.sleepTimer = 0;
+  }
+
+  /**
+   * Пробуждение спящего тела
+   */
+  wake() {
+    if(!this.isSleeping) return;
+
+    this.isSleeping = false;
+    this.isAwakened = true;
+  }
+
   /**
    * Обновление тела
-   * ВАЖНО: текущий вариант не учитывает возможность разрушения платформы
-   * под упругим телом и применение гравитации, в случае добавления
-   * стоительства, необходимо переписать метод update
    *
    * @param  {Number}  delta  Время между предыдущим и текущим тиком
    */
   update(delta) {
-    // Если не достигнут лимит исправлений по оси X
-    if(this.countCollisionsFix.x < BOUNCE_FIXES_LIMIT.X) {
-      // Изменяем позицию по оси X
-      this.position.x += this.force.x * delta;
+    const force = this.force;
 
-      // Устанавливаем свойство индикатора обновления
-      this.isUpdated = true;
+    // Тело выходит из покоя, если опора пропала
+    // или телу задано направление движения
+    if(this.isResting &&
+       (!this.groundBody || force.x !== 0 || force.y !== 0)) {
+      this.isResting = false;
     }
 
-    // Если не достигнут лимит исправлений по оси Y
-    if(this.countCollisionsFix.y < BOUNCE_FIXES_LIMIT.Y) {
-      // Изменяем позицию по оси Y
-      this.position.y += this.force.y * delta;
+    // Покоящееся тело не движется
+    if(!this.isResting) {
       // Изменяем направление движения с учетом гравитации
-      this.force.y += this.gravity * delta;
+      // до перемещения, чтобы отскоки не набирали скорость
+      force.y += this.gravity * delta;
+      // Изменяем позицию
+      this.position.x += force.x * delta;
+      this.position.y += force.y * delta;
 
       // Устанавливаем индикатор перемещения тела по оси Y
-      this.moveDirectionY = this.force.y > 0 ? 1 : -1;
+      this.moveDirectionY = force.y > 0 ? 1 : -1;
       // Устанавливаем свойство индикатора обновления
       this.isUpdated = true;
     }
@@ -149,67 +307,88 @@ class BodyBounce {
    * @param  {Object}  correction    Вектор корректировки позиции
    * @param  {Number}  correction.x  Корректировка по оси X
    * @param  {Number}  correction.y  Корректировка по оси Y
+   * @param  {Body}    body          Тело, с которым произошло столкновение
    */
-  updateCollision(correction) {
-    // Если количество исправлений по оси X меньше или равно лимиту
-    if(this.countCollisionsFix.x <= BOUNCE_FIXES_LIMIT.X) {
-      // Если количество исправлений по оси X равно лимиту
-      if(this.countCollisionsFix.x === BOUNCE_FIXES_LIMIT.X) {
-        // Отключаем перемещение по оси X
-        this.force.x = 0;
-      }
-      // Иначе
-      else {
-        // При любом столкновении уменьшаем скорость по оси X
-        this.force.x *= 0.5 - 0.1 * this.countCollisionsFix.x;
-
-        // Если столкновение сбоку и не с той стороны в которую движется тело
-        if(correction.x != 0 &&
-           Math.sign(correction.x) != Math.sign(this.force.x)) {
-          // Меняем направлеие движения по оси X
-          this.force.x *= -1;
-        }
-
-        // Увеличиваем счетчик количества осправлений по оси X
-        this.countCollisionsFix.x++;
-      }
+  updateCollision(correction, body) {
+    // Сохранение тела, на котором стоит упругое тело
+    if(correction.y < 0) this.groundBody = body;
+
+    // Нормаль наклонной стороны берется у наклонного тела,
+    // иначе нормаль направлена по вектору корректировки
+    if(correction.y < 0 && body.slope) {
+      this._bounce(body.getSurfaceNormal(), body);
+      return;
     }
 
-    // Если есть столкновение по оси Y
-    // и количество исправлений по оси Y меньше или равно лимиту
-    if(correction.y !== 0 &&
-       this.countCollisionsFix.y <= BOUNCE_FIXES_LIMIT.Y) {
-      // Если столкновение снизу
-      if(correction.y < 0) {
-        // Если количество исправлений по оси Y равно лимиту
-        if(this.countCollisionsFix.y === BOUNCE_FIXES_LIMIT.Y) {
-          // Отключаем перемещение по оси Y
-          this.force.y = 0;
-          // Сбрасываем индикатор перемещения тела по оси Y
-          this.moveDirectionY = 0;
-        }
-        // Иначе
-        else {
-          // Уменьшаем скорость отскока
-          this.reboundSpeed *= 0.5 - 0.15 * this.countCollisionsFix.y;
-          // Устанавливаем направление движения в скорость отскока
-          this.force.y = this.reboundSpeed;
-
-          // Увеличиваем счетчик количества осправлений по оси Y
-          this.countCollisionsFix.y++;
-        }
-      }
+    const length = Math.sqrt(
+      correction.x * correction.x + correction.y * correction.y
+    );
+    if(length === 0) return;
+
+    this._bounce({
+      x: correction.x / length,
+      y: correction.y / length
+    }, body);
+  }
+
+  /**
+   * Отскок от поверхности
+   * Скорость по нормали отражается с учетом упругости, скорость вдоль
+   * поверхности уменьшается трением пропорционально импульсу по нормали
+   *
+   * @param  {Object}  normal    Единичный вектор нормали поверхности
+   * @param  {Number}  normal.x  Значение по оси X
+   * @param  {Number}  normal.y  Значение по оси Y
+   * @param  {Body}    body      Тело поверхности
+   */
+  _bounce(normal, body) {
+    const force = this.force;
+    // Скорость движения по нормали
+    const normalSpeed = force.x * normal.x + force.y * normal.y;
+    // Тело удаляется от поверхности
+    if(normalSpeed >= 0) return;
 
-      // Если столкновение сверху, меняем направление по оси Y
-      if(correction.y > 0) this.force.y *= -1;
+    // Упругость и трение контакта с учетом материала поверхности
+    const restitution = Math.max(this.restitution, body.restitution || 0);
+    const friction = body.friction !== undefined
+      ? this.friction * body.friction
+      : this.friction;
+
+    // Скорость отскока, медленный отскок гасится
+    let reboundSpeed = -normalSpeed * restitution;
+    if(reboundSpeed < REST_SPEED) reboundSpeed = 0;
+
+    // Скорость вдоль поверхности
+    const tangentX = force.x - normalSpeed * normal.x;
+    const tangentY = force.y - normalSpeed * normal.y;
+    const tangentSpeed = Math.sqrt(tangentX * tangentX + tangentY * tangentY);
+    // Доля скорости вдоль поверхности, оставшаяся после трения
+    const impulse = reboundSpeed - normalSpeed;
+    const tangentScale = tangentSpeed > 0
+      ? Math.max(0, tangentSpeed - friction * impulse) / tangentSpeed
+      : 0;
+
+    force.x = tangentX * tangentScale + normal.x * reboundSpeed;
+    force.y = tangentY * tangentScale + normal.y * reboundSpeed;
+
+    // Тело на опоре без отскока, движение вдоль которой погашено трением,
+    // переходит в состояние покоя
+    if(normal.y < 0 && reboundSpeed === 0 && tangentScale === 0) {
+      this.isResting = true;
+      force.x = 0;
+      force.y = 0;
     }
+
+    // Устанавливаем индикатор перемещения тела по оси Y
+    this.moveDirectionY = force.y > 0 ? 1 : -1;
   }
 
   /**
-   * Обновляет координаты обрамляющего прямоугольника
+   * Обновляет координаты обрамляющего прямоугольника и вершин
    *
    * Зависят от нормализованных координат обрамляющего прямоугольника
-   * (this.normalBounds) и позиции (this.position)
+   * (this.normalBounds), вершин (this.normalVertices)
+   * и позиции (this.position)
    */
   _updateBounds() {
     const normalBounds = this.normalBounds;
@@ -220,6 +399,32 @@ class BodyBounce {
     bounds.min.y = normalBounds.min.y + position.y;
     bounds.max.x = normalBounds.max.x + position.x;
     bounds.max.y = normalBounds.max.y + position.y;
+
+    if(!this.normalVertices) return;
+
+    for(let i = 0, l = this.normalVertices.length; i < l; i++) {
+      this.vertices[i].x = this.normalVertices[i].x + position.x;
+      this.vertices[i].y = this.normalVertices[i].y + position.y;
+    }
+  }
+
+  /**
+   * Сериализация состояния тела
+   *
+   * @return  {Object}  Объект с состоянием тела
+   */
+  toJSON() {
+    return serializeBody(this);
+  }
+
+  /**
+   * Восстановление тела из сериализованного состояния
+   *
+   * @param   {Object}      data  Объект с состоянием тела
+   * @return  {BodyBounce}        Экземпляр класса тела
+   */
+  static fromJSON(data) {
+    return restoreBody(BodyBounce, data);
   }
 }
 
@@ -1,25 +1,66 @@
 import {
   BODIES_TYPES,
-  getNextId
+  getNextId,
+  setCollisionFilter,
+  serializeBody,
+  restoreBody
 } from '../common';
+import Emitter from '../emitter';
+
+/**
+ * Смещение точки рикошета от поверхности по нормали
+ *
+ * @type  {Number}
+ */
+const RICOCHET_OFFSET = 0.01;
 
 /**
  * Класс тела пули
  */
-class BodyBullet {
+class BodyBullet extends Emitter {
   /**
    * Конструктор
    *
-   * @param  {Object}  options             Объект с параметрами
-   * @param  {Number}  options.x           Позиция по оси X
-   * @param  {Number}  options.y           Позиция по оси Y
-   * @param  {Object}  options.force       Вектор движения тела
-   * @param  {Number}  options.force.x     Движения по оси X, пунктов/с
-   * @param  {Number}  options.force.y     Движение по оси Y, пунктов/с
-   * @param  {Number}  options.ownerId     Идентификатор тела владельца
-   * @param  {Number}  options.longOfLife  Длинна жизни тела пули
+   * @param  {Object}          options               Объект с параметрами
+   * @param  {Number}          options.x             Позиция по оси X
+   * @param  {Number}          options.y             Позиция по оси Y
+   * @param  {Object}          options.force         Вектор движения тела
+   * @param  {Number}          options.force.x       Движения по оси X,
+   *                                                 пунктов/с
+   * @param  {Number}          options.force.y       Движение по оси Y,
+   *                                                 пунктов/с
+   * @param  {Number}          options.ownerId       Идентификатор тела
+   *                                                 владельца
+   * @param  {Number}          options.longOfLife    Длинна жизни тела пули
+   * @param  {Number}          options.gravity       Значение гравитации
+   *                                                 физического мира
+   * @param  {Number}          options.gravityScale  Множитель гравитации,
+   *                                                 0 - пуля летит по прямой
+   * @param  {Number}          options.drag          Сопротивление - доля
+   *                                                 скорости, теряемая за
+   *                                                 секунду
+   * @param  {Number|Boolean}  options.pierce        Количество пробиваемых тел,
+   *                                                 true - пуля останавливается
+   *                                                 только статическими
+   *                                                 и кинематическими телами
+   * @param  {Number}          options.ricochet      Количество рикошетов
+   *                                                 от статических
+   *                                                 и кинематических тел
+   * @param  {Number}          options.ricochetRestitution  Доля скорости,
+   *                                                 сохраняемая при рикошете
+   * @param  {Body|Object}     options.target        Цель самонаведения - тело
+   *                                                 или точка { x, y }
+   * @param  {Number}          options.turnRate      Максимальная скорость
+   *                                                 поворота к цели, радиан/с
+   * @param  {Number}          options.category      Битовая категория тела
+   * @param  {Number}          options.mask          Маска категорий
+   *                                                 столкновений
+   * @param  {Number}          options.group         Группа фильтрации
+   *                                                 столкновений
    */
   constructor(options) {
+    super();
+
     // Позиция объекта
     this.position = {
       x: options.x,
@@ -38,6 +79,12 @@ class BodyBullet {
       y: options.force.y / 1000
     };
 
+    // Значение гравитации и множитель гравитации
+    this.gravity = options.gravity || 0;
+    this.gravityScale = options.gravityScale || 0;
+    // Доля скорости, теряемая за секунду
+    this.drag = options.drag || 0;
+
     // Идентификатор тела владельца пули
     // Для предовращения проверки столкновений тела владельца и тела пули
     this.ownerId = options.ownerId || 0;
@@ -54,6 +101,32 @@ class BodyBullet {
     // Если есть свойство длинны жихни, устанавливаем свойство пройденной длинны
     if(options.longOfLife) this.long = 0;
 
+    // Количество тел, которые пуля еще может пробить,
+    // true - без ограничения
+    // По умолчанию пуля с длинной жизни пробивает все подвижные тела,
+    // а без нее останавливается первым телом
+    if(options.pierce !== undefined) this.pierceLeft = options.pierce;
+    else this.pierceLeft = this.longOfLife === false ? 0 : true;
+    // Идентификаторы пробитых тел, в которые пуля больше не попадает
+    this.hitBodies = [];
+
+    // Оставшееся количество рикошетов
+    this.ricochetsLeft = options.ricochet || 0;
+    // Доля скорости, сохраняемая при рикошете
+    this.ricochetRestitution = options.ricochetRestitution !== undefined
+      ? options.ricochetRestitution
+      : 0.8;
+    // Статус рикошета на текущем шаге
+    // Путь на следующем шаге начинается от точки рикошета
+    this.isRicocheted = false;
+
+    // Максимальная скорость поворота к цели
+    // Делится на 1000, так как в параметрах приходит радиан/с,
+    // а необходимо радиан/мс
+    this.turnRate = (options.turnRate || 0) / 1000;
+    // Установка цели самонаведения
+    this.setTarget(options.target || null);
+
     // Расчет коэффициентов уравления прямой пути тела пули
     // Уравнение прямой имеет вид: a*x + b*y + c = 0
     // где a = y1 - y2
@@ -61,27 +134,20 @@ class BodyBullet {
     //     c = x1*y2 - x2*y1
     // Первая точка - позиция пули
     // Вторая точка - позиция + направление движения
-    const coefs = {
+    this.lineCoefs = {
       a: -this.force.y,
       b: this.force.x,
       c: options.x * this.force.y - options.y * this.force.x
     };
-    // Установка в свойства тела коэффициентов для расчета точек пересечения
-    // Формула расчета пересечения с прямой x = K:
-    // y = - (a/b) * x - (c/b)
-    // Формула расчета пересечения с прямой y = K:
-    // x = - (b/a) * y - (c/b)
-    this.equationCoefs = {
-      ab: coefs.a / coefs.b,
-      ba: coefs.b / coefs.a,
-      ca: coefs.c / coefs.a,
-      cb: coefs.c / coefs.b
-    };
+    // Расчет коэффициентов для расчета точек пересечения
+    this._updateEquationCoefs();
 
     // Уникальный числовой идентификатор
     this.id = getNextId();
     // Установка свойства типа объекта
     this.type = BODIES_TYPES.BULLET;
+    // Установка параметров фильтрации столкновений
+    setCollisionFilter(this, options);
     // Свойство для хранения пользовательских данных
     this.userData = {};
 
@@ -94,6 +160,22 @@ class BodyBullet {
     this._updateBounds();
   }
 
+  /**
+   * Установка цели самонаведения
+   *
+   * @param  {Body|Object}  target    Тело цели или точка, null - без цели
+   * @param  {Number}       target.x  Координата точки по оси X
+   * @param  {Number}       target.y  Координата точки по оси Y
+   */
+  setTarget(target) {
+    // Тело цели, пуля следует за его текущей позицией
+    this.targetBody = target && target.position ? target : null;
+    // Неподвижная точка цели
+    this.targetPoint = target && !target.position
+      ? { x: target.x, y: target.y }
+      : null;
+  }
+
   /**
    * Обновление тела
    *
@@ -107,8 +189,27 @@ class BodyBullet {
     const longOfLife = this.longOfLife;
 
     // Установка предыдущей позиции
-    prevPosition.x = position.x;
-    prevPosition.y = position.y;
+    // После рикошета предыдущая позиция остается в точке рикошета,
+    // чтобы проверить остаток пути, пройденный на шаге рикошета
+    if(this.isRicocheted) this.isRicocheted = false;
+    else {
+      prevPosition.x = position.x;
+      prevPosition.y = position.y;
+    }
+
+    // Поворот к цели самонаведения
+    const isSteered = this._steer(delta);
+
+    // Изменение направления движения с учетом гравитации
+    // и сопротивления
+    if(this.gravityScale !== 0) {
+      force.y += this.gravity * this.gravityScale * delta;
+    }
+    if(this.drag > 0) {
+      const dragFactor = Math.pow(1 - this.drag, delta / 1000);
+      force.x *= dragFactor;
+      force.y *= dragFactor;
+    }
 
     // Установка новой текущей позиции
     const moveX = force.x * delta;
@@ -116,6 +217,11 @@ class BodyBullet {
     position.x += moveX;
     position.y += moveY;
 
+    // Путь пули под действием гравитации или самонаведения искривляется,
+    // пересечения на текущем шаге ищутся на отрезке
+    // от предыдущей позиции до текущей
+    if(this.gravityScale !== 0 || isSteered) this._updateLineCoefs();
+
     // Если задана длинна жизни тела пули
     if(longOfLife !== false) {
       // Увеличиваем пройденную длинну
@@ -135,6 +241,177 @@ class BodyBullet {
     this._updateBounds();
   }
 
+  /**
+   * Проверка возможности рикошета от поверхности
+   * Пуля не рикошетит, если не сохраняет скорость после отражения
+   * или нормаль поверхности не определена (попадание изнутри тела)
+   *
+   * @param   {Object}   normal    Единичный вектор нормали поверхности
+   * @param   {Number}   normal.x  Значение по оси X
+   * @param   {Number}   normal.y  Значение по оси Y
+   * @return  {Boolean}            Результат
+   */
+  canRicochet(normal) {
+    return this.ricochetsLeft > 0 &&
+           this.ricochetRestitution > 0 &&
+           (normal.x !== 0 || normal.y !== 0);
+  }
+
+  /**
+   * Рикошет от поверхности
+   * Направление движения отражается относительно нормали,
+   * пуля продолжает движение от точки рикошета на оставшуюся
+   * на текущем шаге часть пути
+   *
+   * @param  {Object}  point     Точка рикошета
+   * @param  {Number}  point.x   Координата по оси X
+   * @param  {Number}  point.y   Координата по оси Y
+   * @param  {Object}  normal    Единичный вектор нормали поверхности
+   * @param  {Number}  normal.x  Значение по оси X
+   * @param  {Number}  normal.y  Значение по оси Y
+   */
+  ricochet(point, normal) {
+    const force = this.force;
+    const position = this.position;
+    const prevPosition = this.prevPosition;
+    const restitution = this.ricochetRestitution;
+
+    // Оставшаяся на текущем шаге часть пути
+    const restX = position.x - point.x;
+    const restY = position.y - point.y;
+    const rest = Math.sqrt(restX * restX + restY * restY) * restitution;
+
+    // Отражение направления движения с потерей скорости
+    const normalSpeed = force.x * normal.x + force.y * normal.y;
+    force.x = (force.x - 2 * normalSpeed * normal.x) * restitution;
+    force.y = (force.y - 2 * normalSpeed * normal.y) * restitution;
+    const speed = Math.sqrt(force.x * force.x + force.y * force.y);
+
+    // Путь продолжается от точки, смещенной от поверхности,
+    // чтобы пуля не попала в нее повторно
+    prevPosition.x = point.x + normal.x * RICOCHET_OFFSET;
+    prevPosition.y = point.y + normal.y * RICOCHET_OFFSET;
+    position.x = prevPosition.x;
+    position.y = prevPosition.y;
+    if(speed > 0) {
+      position.x += force.x / speed * rest;
+      position.y += force.y / speed * rest;
+    }
+
+    this.ricochetsLeft--;
+    this.isRicocheted = true;
+    this._updateLineCoefs();
+    this._updateBounds();
+  }
+
+  /**
+   * Сериализация состояния тела
+   * Коэффициенты для расчета точек пересечения не сохраняются,
+   * так как могут быть бесконечными и не представимы в JSON
+   *
+   * @return  {Object}  Объект с состоянием тела
+   */
+  toJSON() {
+    const data = serializeBody(this);
+    delete(data.equationCoefs);
+    return data;
+  }
+
+  /**
+   * Восстановление тела из сериализованного состояния
+   *
+   * @param   {Object}      data  Объект с состоянием тела
+   * @return  {BodyBullet}        Экземпляр класса тела
+   */
+  static fromJSON(data) {
+    const body = restoreBody(BodyBullet, data);
+    body._updateEquationCoefs();
+    return body;
+  }
+
+  /**
+   * Поворот направления движения к цели самонаведения
+   * с ограничением скорости поворота, скорость движения не изменяется
+   *
+   * @param   {Number}   delta  Время между предыдущим и текущим тиком
+   * @return  {Boolean}         Изменилось ли направление движения
+   */
+  _steer(delta) {
+    const force = this.force;
+    const position = this.position;
+    const target = this.targetBody
+      ? this.targetBody.position
+      : this.targetPoint;
+
+    if(!target || this.turnRate === 0) return false;
+    if(force.x === 0 && force.y === 0) return false;
+
+    // Угол между текущим направлением и направлением на цель,
+    // приведенный к диапазону от -PI до PI
+    let angle = Math.atan2(target.y - position.y, target.x - position.x)
+              - Math.atan2(force.y, force.x);
+    if(angle > Math.PI) angle -= 2 * Math.PI;
+    else if(angle < -Math.PI) angle += 2 * Math.PI;
+
+    // Ограничение угла поворота за шаг
+    const maxAngle = this.turnRate * delta;
+    angle = Math.max(-maxAngle, Math.min(angle, maxAngle));
+    if(angle === 0) return false;
+
+    // Поворот вектора движения
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const forceX = force.x;
+    force.x = forceX * cos - force.y * sin;
+    force.y = forceX * sin + force.y * cos;
+
+    return true;
+  }
+
+  /**
+   * Расчет коэффициентов уравнения прямой пути тела пули
+   * по предыдущей и текущей позициям
+   * Если позиции совпадают (рикошет в конце шага), прямая строится
+   * по направлению движения
+   */
+  _updateLineCoefs() {
+    const prevPosition = this.prevPosition;
+    let position = this.position;
+
+    if(position.x === prevPosition.x && position.y === prevPosition.y) {
+      position = {
+        x: prevPosition.x + this.force.x,
+        y: prevPosition.y + this.force.y
+      };
+    }
+
+    this.lineCoefs.a = prevPosition.y - position.y;
+    this.lineCoefs.b = position.x - prevPosition.x;
+    this.lineCoefs.c = prevPosition.x * position.y
+                     - position.x * prevPosition.y;
+    this._updateEquationCoefs();
+  }
+
+  /**
+   * Расчет коэффициентов для расчета точек пересечения
+   * из коэффициентов уравнения прямой пути тела пули (this.lineCoefs)
+   *
+   * Формула расчета пересечения с прямой x = K:
+   * y = - (a/b) * x - (c/b)
+   * Формула расчета пересечения с прямой y = K:
+   * x = - (b/a) * y - (c/b)
+   */
+  _updateEquationCoefs() {
+    const coefs = this.lineCoefs;
+
+    this.equationCoefs = {
+      ab: coefs.a / coefs.b,
+      ba: coefs.b / coefs.a,
+      ca: coefs.c / coefs.a,
+      cb: coefs.c / coefs.b
+    };
+  }
+
   /**
    * Обновляет координаты обрамляющего прямоугольника
    *
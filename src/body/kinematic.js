@@ -0,0 +1,370 @@
+import {
+  BODIES_TYPES,
+  getNextId,
+  setCollisionFilter,
+  setShape,
+  setOneWay,
+  setSurface,
+  serializeBody,
+  restoreBody
+} from '../common';
+import Emitter from '../emitter';
+
+/**
+ * Функции плавности движения по отрезку пути
+ * Принимают и возвращают долю пройденного отрезка
+ *
+ * @type  {Object}
+ */
+const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => t * (2 - t),
+  easeInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
+};
+
+/**
+ * Режимы движения по пути
+ *
+ * @type  {Object}
+ */
+const PATH_MODES = {
+  // После последней точки движение продолжается к первой
+  LOOP: 'loop',
+  // После последней точки движение продолжается в обратном порядке
+  PINGPONG: 'pingpong',
+  // Движение останавливается в последней точке
+  ONCE: 'once'
+};
+
+/**
+ * Класс кинематического тела
+ * Двигается само по скорости или по пути из точек,
+ * не смещается при столкновениях и переносит стоящие на нем тела
+ */
+class BodyKinematic extends Emitter {
+  /**
+   * Конструктор
+   *
+   * @param  {Object}          options              Объект с параметрами
+   * @param  {Number}          options.x            Позиция по оси X
+   * @param  {Number}          options.y            Позиция по оси Y
+   * @param  {Number}          options.width        Ширина
+   * @param  {Number}          options.height       Высота
+   * @param  {Number}          options.radius       Радиус круглого тела,
+   *                                                заменяет ширину и высоту
+   * @param  {Object}          options.velocity     Скорость движения,
+   *                                                пунктов/с
+   * @param  {Number}          options.velocity.x   Скорость по оси X
+   * @param  {Number}          options.velocity.y   Скорость по оси Y
+   * @param  {Array}           options.path         Массив точек пути { x, y },
+   *                                                тело начинает движение
+   *                                                из первой точки
+   * @param  {Number}          options.speed        Скорость движения по пути,
+   *                                                пунктов/с
+   * @param  {String}          options.pathMode     Режим движения по пути:
+   *                                                loop, pingpong или once
+   * @param  {String}          options.easing       Плавность движения
+   *                                                по отрезкам: linear,
+   *                                                easeIn, easeOut
+   *                                                или easeInOut
+   * @param  {Boolean}         options.isSensor     Является ли тело сенсором
+   * @param  {Number}          options.category     Битовая категория тела
+   * @param  {Number}          options.mask         Маска категорий столкновений
+   * @param  {Number}          options.group        Группа фильтрации
+   *                                                столкновений
+   * @param  {Boolean|Object}  options.oneWay       Односторонняя
+   *                                                проходимость: true
+   *                                                или объект { up, down,
+   *                                                left, right }
+   * @param  {Number}          options.friction     Множитель ускорения
+   *                                                и торможения стоящих
+   *                                                тел игроков
+   * @param  {Number}          options.speedFactor  Множитель максимальной
+   *                                                скорости стоящих тел игроков
+   * @param  {Number}          options.restitution  Упругость поверхности
+   *                                                для упругих тел
+   */
+  constructor(options) {
+    super();
+
+    // Путь из точек
+    this.path = options.path
+      ? options.path.map(point => ({ x: point.x, y: point.y }))
+      : null;
+
+    // Позиция, при движении по пути - первая точка пути
+    this.position = this.path
+      ? { x: this.path[0].x, y: this.path[0].y }
+      : { x: options.x, y: options.y };
+    // Позиция до последнего шага обновления
+    // Необходима для интерполяции при отрисовке
+    this.prevPosition = {
+      x: this.position.x,
+      y: this.position.y
+    };
+    // Форма и размеры
+    setShape(this, options);
+    // Индикатор является ли тело сенсором
+    this.isSensor = options.isSensor ? true : false;
+
+    // Скорость движения
+    // Делится на 1000, так как в параметрах приходит пунктов/с,
+    // а необходимо пунктов/мс
+    this.velocity = {
+      x: options.velocity ? options.velocity.x / 1000 : 0,
+      y: options.velocity ? options.velocity.y / 1000 : 0
+    };
+
+    // Скорость движения по пути, пунктов/мс
+    this.speed = (options.speed !== undefined ? options.speed : 100) / 1000;
+    // Режим движения по пути
+    this.pathMode = options.pathMode || PATH_MODES.LOOP;
+    // Название функции плавности
+    this.easing = options.easing || 'linear';
+    // Индекс точки начала текущего отрезка пути
+    this.pathIndex = 0;
+    // Направление обхода точек пути, меняется в режиме pingpong
+    this.pathDirection = 1;
+    // Время движения по текущему отрезку пути
+    this.pathTime = 0;
+    // Статус завершения движения по пути в режиме once
+    this.isPathFinished = false;
+
+    // Перемещение на текущем шаге
+    // Необходимо для переноса стоящих на теле тел
+    this.moveDelta = {
+      x: 0,
+      y: 0
+    };
+    // Статус обновления позиции или размеров на текущем тике
+    this.isUpdated = false;
+
+    // Уникальный числовой идентификатор
+    this.id = getNextId();
+    // Установка свойства типа объекта
+    this.type = BODIES_TYPES.KINEMATIC;
+    // Установка параметров фильтрации столкновений
+    setCollisionFilter(this, options);
+    // Установка параметров односторонней проходимости
+    setOneWay(this, options);
+    // Установка параметров поверхности
+    setSurface(this, options);
+    // Свойство для хранения пользовательских данных
+    this.userData = {};
+
+    // Расчет половинных значений ширины и высоты
+    const halfWidth = this.size.width / 2;
+    const halfHeight = this.size.height / 2;
+    // Расчет значений нормализованных (приведенных к началу координат)
+    // координат обрамляющего прямоугольника
+    this.normalBounds = {
+      min: {
+        x: -halfWidth,
+        y: -halfHeight
+      },
+      max: {
+        x: halfWidth,
+        y: halfHeight
+      }
+    };
+    // Инициализация значения координат обрамляющего прямоугольника
+    this.bounds = {
+      min: { x: 0, y: 0 },
+      max: { x: 0, y: 0 }
+    };
+    // Обновление координат обрамляющего прямоугольника
+    this._updateBounds();
+  }
+
+  /**
+   * Установка позиции телу
+   * Перемещение не переносит стоящие на теле тела
+   *
+   * @param  {Object}  position    Объект с координатами
+   * @param  {Number}  position.x  Координата по оси X
+   * @param  {Number}  position.y  Координата по оси Y
+   */
+  setPosition(position) {
+    this.position.x = position.x;
+    this.position.y = position.y;
+
+    this.isUpdated = true;
+    this._updateBounds();
+  }
+
+  /**
+   * Установка скорости движения
+   *
+   * @param  {Object}  velocity    Скорость движения, пунктов/с
+   * @param  {Number}  velocity.x  Скорость по оси X
+   * @param  {Number}  velocity.y  Скорость по оси Y
+   */
+  setVelocity(velocity) {
+    this.velocity.x = velocity.x / 1000;
+    this.velocity.y = velocity.y / 1000;
+  }
+
+  /**
+   * Установка скорости движения по пути
+   * При нулевой скорости движение по пути приостанавливается
+   *
+   * @param  {Number}  speed  Скорость движения по пути, пунктов/с
+   */
+  setSpeed(speed) {
+    this.speed = speed / 1000;
+  }
+
+  /**
+   * Обновление тела
+   *
+   * @param  {Number}  delta  Время между предыдущим и текущим тиком
+   */
+  update(delta) {
+    const position = this.position;
+    const prevX = position.x;
+    const prevY = position.y;
+
+    // Движение по пути или по скорости
+    if(this.path) this._updatePath(delta);
+    else {
+      position.x += this.velocity.x * delta;
+      position.y += this.velocity.y * delta;
+    }
+
+    // Расчет перемещения на текущем шаге
+    this.moveDelta.x = position.x - prevX;
+    this.moveDelta.y = position.y - prevY;
+
+    // Обновляем координаты обрамляющего прямоугольника,
+    // если есть перемещение
+    if(this.moveDelta.x !== 0 || this.moveDelta.y !== 0) {
+      this.isUpdated = true;
+      this._updateBounds();
+    }
+  }
+
+  /**
+   * Движение по пути
+   *
+   * @param  {Number}  delta  Время между предыдущим и текущим тиком
+   */
+  _updatePath(delta) {
+    const path = this.path;
+    if(this.isPathFinished || path.length < 2) return;
+    // При нулевой скорости тело стоит на месте
+    if(this.speed <= 0) return;
+
+    const ease = EASINGS[this.easing] || EASINGS.linear;
+    let time = this.pathTime + delta;
+
+    // Ограничение количества переходов между отрезками за один шаг
+    // на случай пути из совпадающих точек
+    let segmentsLimit = path.length * 2;
+
+    while(segmentsLimit--) {
+      const from = path[this.pathIndex];
+      const to = path[this._getNextPathIndex()];
+
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      // Время движения по отрезку
+      const duration = Math.sqrt(dx * dx + dy * dy) / this.speed;
+
+      // Тело находится на текущем отрезке
+      if(time < duration) {
+        const t = ease(time / duration);
+        this.position.x = from.x + dx * t;
+        this.position.y = from.y + dy * t;
+        this.pathTime = time;
+        return;
+      }
+
+      // Переход на следующий отрезок
+      time -= duration;
+      this._nextPathSegment();
+
+      // Движение по пути завершено
+      if(this.isPathFinished) {
+        this.position.x = to.x;
+        this.position.y = to.y;
+        this.pathTime = 0;
+        return;
+      }
+    }
+
+    this.pathTime = 0;
+  }
+
+  /**
+   * Получение индекса точки конца текущего отрезка пути
+   *
+   * @return  {Number}  Индекс точки
+   */
+  _getNextPathIndex() {
+    if(this.pathMode === PATH_MODES.LOOP) {
+      return (this.pathIndex + 1) % this.path.length;
+    }
+
+    return this.pathIndex + this.pathDirection;
+  }
+
+  /**
+   * Переход к следующему отрезку пути
+   */
+  _nextPathSegment() {
+    const length = this.path.length;
+
+    this.pathIndex = this._getNextPathIndex();
+
+    // В режиме once движение завершается в последней точке
+    if(this.pathMode === PATH_MODES.ONCE) {
+      if(this.pathIndex >= length - 1) this.isPathFinished = true;
+      return;
+    }
+
+    // В режиме pingpong на краях пути направление меняется
+    if(this.pathMode === PATH_MODES.PINGPONG) {
+      const next = this.pathIndex + this.pathDirection;
+      if(next < 0 || next >= length) this.pathDirection *= -1;
+    }
+  }
+
+  /**
+   * Обновляет координаты обрамляющего прямоугольника
+   *
+   * Зависят от нормализованных координат обрамляющего прямоугольника
+   * (this.normalBounds) и позиции (this.position)
+   */
+  _updateBounds() {
+    const normalBounds = this.normalBounds;
+    const position = this.position;
+    const bounds = this.bounds;
+
+    bounds.min.x = normalBounds.min.x + position.x;
+    bounds.min.y = normalBounds.min.y + position.y;
+    bounds.max.x = normalBounds.max.x + position.x;
+    bounds.max.y = normalBounds.max.y + position.y;
+  }
+
+  /**
+   * Сериализация состояния тела
+   *
+   * @return  {Object}  Объект с состоянием тела
+   */
+  toJSON() {
+    return serializeBody(this);
+  }
+
+  /**
+   * Восстановление тела из сериализованного состояния
+   *
+   * @param   {Object}         data  Объект с состоянием тела
+   * @return  {BodyKinematic}        Экземпляр класса тела
+   */
+  static fromJSON(data) {
+    return restoreBody(BodyKinematic, data);
+  }
+}
+
+export default BodyKinematic;
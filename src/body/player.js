@@ -1,36 +1,90 @@
 import {
   BODIES_TYPES,
-  getNextId
+  getNextId,
+  setCollisionFilter,
+  setShape,
+  resizeBody,
+  serializeBody,
+  restoreBody
 } from '../common';
+import Emitter from '../emitter';
 
 /**
  * Класс тела игрока
  */
-class BodyPlayer {
+class BodyPlayer extends Emitter {
   /**
    * Конструктор
    *
-   * @param  {Object}  options               Объект с параметрами
-   * @param  {Number}  options.x             Позиция по оси X
-   * @param  {Number}  options.y             Позиция по оси Y
-   * @param  {Number}  options.width         Ширина объекта
-   * @param  {Number}  options.height        Высота объекта
-   * @param  {Number}  options.moveSpeed     Скорость движения по оси X
-   * @param  {Number}  options.jumpDistance  Высота прыжка
-   * @param  {Number}  options.gravity       Значение гравитации
-   *                                         физического мира
+   * @param  {Object}  options                   Объект с параметрами
+   * @param  {Number}  options.x                 Позиция по оси X
+   * @param  {Number}  options.y                 Позиция по оси Y
+   * @param  {Number}  options.width             Ширина объекта
+   * @param  {Number}  options.height            Высота объекта
+   * @param  {Number}  options.radius            Радиус круглого тела,
+   *                                             заменяет ширину и высоту
+   * @param  {Number}  options.moveSpeed         Скорость движения по оси X
+   * @param  {Number}  options.jumpDistance      Высота прыжка
+   * @param  {Number}  options.gravity           Значение гравитации
+   *                                             физического мира
+   * @param  {Number}  options.dropThroughTime   Время спрыгивания сквозь
+   *                                             односторонние тела, мс
+   * @param  {Number}  options.climbSpeed        Скорость лазания, пунктов/с
+   * @param  {Number}  options.wallSlideSpeed    Скорость скольжения по стене,
+   *                                             пунктов/с
+   * @param  {Number}  options.wallJumpDistance  Высота прыжка от стены
+   * @param  {Number}  options.wallJumpLockTime  Время блокировки управления
+   *                                             движением после прыжка
+   *                                             от стены, мс
+   * @param  {Number}  options.coyoteTime        Время после схода с платформы,
+   *                                             в течение которого можно
+   *                                             прыгнуть, мс
+   * @param  {Number}  options.jumpBufferTime    Время, в течение которого
+   *                                             нажатие прыжка в воздухе
+   *                                             выполняется при приземлении,
+   *                                             мс
+   * @param  {Number}  options.jumpCutFactor     Доля скорости подъема,
+   *                                             сохраняемая при отпускании
+   *                                             прыжка
+   * @param  {Number}  options.airJumps          Количество дополнительных
+   *                                             прыжков в воздухе
+   * @param  {Number}  options.airJumpDistance   Высота прыжка в воздухе
+   * @param  {Number}  options.dashDistance      Расстояние рывка,
+   *                                             0 - рывок отключен
+   * @param  {Number}  options.dashTime          Время рывка, мс
+   * @param  {Number}  options.dashCooldown      Время восстановления рывка, мс
+   * @param  {Number}  options.acceleration      Ускорение на земле,
+   *                                             пунктов/с^2, 0 - движение
+   *                                             без инерции
+   * @param  {Number}  options.deceleration      Торможение на земле,
+   *                                             пунктов/с^2
+   * @param  {Number}  options.airAcceleration   Ускорение в воздухе,
+   *                                             пунктов/с^2
+   * @param  {Number}  options.maxSpeed          Максимальная скорость движения
+   *                                             с инерцией, пунктов/с
+   * @param  {Number}  options.mass              Масса, учитывается
+   *                                             при столкновениях с игроками
+   *                                             и упругими телами
+   * @param  {Number}  options.category          Битовая категория тела
+   * @param  {Number}  options.mask              Маска категорий столкновений
+   * @param  {Number}  options.group             Группа фильтрации столкновений
    */
   constructor(options) {
+    super();
+
     // Позиция объекта
     this.position = {
       x: options.x,
       y: options.y
     };
-    // Размеры объекта
-    this.size = {
-      width: options.width,
-      height: options.height
+    // Позиция объекта до последнего шага обновления
+    // Необходима для интерполяции при отрисовке
+    this.prevPosition = {
+      x: options.x,
+      y: options.y
     };
+    // Форма и размеры
+    setShape(this, options);
     // Скорость горизонтального перемещения
     // Переданное в параметрах значение делится на 1000,
     // так как передается в единицах в секунду
@@ -38,41 +92,155 @@ class BodyPlayer {
       ? options.moveSpeed / 1000
       : 0.4;
     // Высота прыжка
-    this.jumpDistance = options.jumpDistance || options.height * 1.1;
+    this.jumpDistance = options.jumpDistance || this.size.height * 1.1;
     // Значение гравитации
     this.gravity = options.gravity;
     // Коэффициент для расчета расстояния в прыжке
     this.jumpCoef = Math.sqrt(this.jumpDistance / this.gravity);
+    // Высота и коэффициент текущего прыжка
+    // Отличаются от значений обычного прыжка при прыжке от стены
+    this.currentJumpDistance = this.jumpDistance;
+    this.currentJumpCoef = this.jumpCoef;
 
     // Последняя позиция нахождения на земле по оси Y до прыжка или падения
     this.lastGroundPositionY = options.y || 0;
     // Направление движения тела по горизонтали
     this.forceX = 0;
+    // Направление [-1, 0, 1] движения, заданное управлением
+    // Используется при движении с инерцией
+    this.moveDir = 0;
+
+    // Ускорение, торможение на земле и ускорение в воздухе
+    // Переданные в параметрах значения делятся на 1000000,
+    // так как передаются в единицах в секунду за секунду
+    // При нулевом ускорении тело двигается без инерции
+    this.acceleration = (options.acceleration || 0) / 1000000;
+    this.deceleration = options.deceleration
+      ? options.deceleration / 1000000
+      : this.acceleration;
+    this.airAcceleration = options.airAcceleration
+      ? options.airAcceleration / 1000000
+      : this.acceleration / 2;
+    // Максимальная скорость движения с инерцией
+    this.maxSpeed = options.maxSpeed
+      ? options.maxSpeed / 1000
+      : this.moveSpeed;
+    // Масса
+    this.mass = options.mass || 1;
     // Индикатор [-1, 0, 1] перемещения тела по оси Y на текущем кадре
     // Необходимо для корректировки позиции при коллизии
     this.moveDirectionY = 0;
     // Статус нахождения на платформе
     this.isOnGround = false;
+    // Статус нахождения на платформе в конце предыдущего шага
+    // Необходим, чтобы время прыжка после схода с платформы
+    // начиналось только при сходе с нее
+    this.wasOnGround = false;
+    // Тело, на котором стоит тело игрока
+    this.groundBody = null;
+    // Статус лазания по зоне лазания
+    this.isClimbing = false;
+    // Направление [-1, 0, 1] лазания по оси Y
+    this.climbDirY = 0;
+    // Скорость лазания
+    // Переданное в параметрах значение делится на 1000,
+    // так как передается в единицах в секунду
+    this.climbSpeed = options.climbSpeed
+      ? options.climbSpeed / 1000
+      : this.moveSpeed / 2;
+    // Зона лазания, которую пересекает тело игрока на текущем шаге
+    this.climbBody = null;
+
+    // Сторона [-1, 0, 1] стены, которой касается тело игрока в воздухе
+    // -1 = стена слева, 1 = стена справа
+    this.wallDir = 0;
+    // Статус скольжения по стене
+    this.isWallSliding = false;
+    // Скорость скольжения по стене
+    // Переданное в параметрах значение делится на 1000,
+    // так как передается в единицах в секунду
+    this.wallSlideSpeed = options.wallSlideSpeed
+      ? options.wallSlideSpeed / 1000
+      : 0.1;
+    // Высота прыжка от стены
+    this.wallJumpDistance = options.wallJumpDistance || this.jumpDistance;
+    // Время блокировки управления движением после прыжка от стены
+    this.wallJumpLockTime = options.wallJumpLockTime || 200;
+    // Оставшееся время блокировки управления движением
+    this.moveLockTimer = 0;
     // Индикатор изначального горизонтального направления при прыжке
     this.jumpInitDir = 0;
     // Статус обновления позиции или размеров на текущем тике
     this.isUpdated = false;
+    // Размеры, ожидающие применения
+    this.pendingSize = null;
+    // Статус блокировки увеличения размеров другими телами
+    this.isSizeBlocked = false;
 
     // Таймер прыжка
     this.jumpTimer = false;
     // Таймер падения для корректного расчета позиции
     this.fallTimer = false;
 
+    // Время после схода с платформы, в течение которого можно прыгнуть
+    this.coyoteTime = options.coyoteTime !== undefined
+      ? options.coyoteTime
+      : 100;
+    // Оставшееся время возможности прыжка после схода с платформы
+    this.coyoteTimer = 0;
+    // Время хранения нажатия прыжка в воздухе
+    this.jumpBufferTime = options.jumpBufferTime !== undefined
+      ? options.jumpBufferTime
+      : 100;
+    // Оставшееся время хранения нажатия прыжка
+    this.jumpBufferTimer = 0;
+    // Доля скорости подъема, сохраняемая при отпускании прыжка
+    this.jumpCutFactor = options.jumpCutFactor !== undefined
+      ? options.jumpCutFactor
+      : 0.5;
+
+    // Количество дополнительных прыжков в воздухе
+    this.airJumps = options.airJumps || 0;
+    // Оставшееся количество прыжков в воздухе, восстанавливается
+    // при приземлении
+    this.airJumpsLeft = this.airJumps;
+    // Высота прыжка в воздухе
+    this.airJumpDistance = options.airJumpDistance || this.jumpDistance;
+
+    // Расстояние рывка
+    this.dashDistance = options.dashDistance || 0;
+    // Время рывка
+    this.dashTime = options.dashTime || 150;
+    // Время восстановления рывка
+    this.dashCooldown = options.dashCooldown !== undefined
+      ? options.dashCooldown
+      : 500;
+    // Статус рывка
+    this.isDashing = false;
+    // Направление [-1, 1] рывка
+    this.dashDir = 0;
+    // Время с начала рывка
+    this.dashTimer = 0;
+    // Оставшееся время восстановления рывка
+    this.dashCooldownTimer = 0;
+
+    // Время спрыгивания сквозь односторонние тела
+    this.dropThroughTime = options.dropThroughTime || 250;
+    // Оставшееся время спрыгивания сквозь односторонние тела
+    this.dropThroughTimer = 0;
+
     // Уникальный числовой идентификатор
     this.id = getNextId();
     // Установка свойства типа объекта
     this.type = BODIES_TYPES.PLAYER;
+    // Установка параметров фильтрации столкновений
+    setCollisionFilter(this, options);
     // Свойство для хранения пользовательских данных
     this.userData = {};
 
     // Расчет половинных значений ширины и высоты
-    const halfWidth = options.width / 2;
-    const halfHeight = options.height / 2;
+    const halfWidth = this.size.width / 2;
+    const halfHeight = this.size.height / 2;
     // Расчет значений нормализованных (приведенных к началу координат)
     // координат обрамляющего прямоугольника
     this.normalBounds = {
@@ -94,6 +262,56 @@ class BodyPlayer {
     this._updateBounds();
   }
 
+  /**
+   * Изменение размеров тела
+   * Уменьшение применяется сразу, увеличение - при следующем обновлении
+   * физического мира, если тело в новых размерах не пересечет тела,
+   * с которыми оно сталкивается, кроме пуль, иначе откладывается
+   * до освобождения места, а свойство isSizeBlocked устанавливается в true
+   *
+   * @param   {Number}   width     Ширина
+   * @param   {Number}   height    Высота
+   * @param   {String}   [anchor]  Точка привязки: center - центр,
+   *                               bottom - нижняя сторона (ноги),
+   *                               top - верхняя сторона
+   * @return  {Boolean}            Применено ли изменение сразу
+   */
+  setSize(width, height, anchor) {
+    const size = {
+      width: width,
+      height: height,
+      anchor: anchor || 'center'
+    };
+
+    // Уменьшение размеров не может привести к пересечению с другими телами
+    if(width <= this.size.width && height <= this.size.height) {
+      this.applySize(size);
+      return true;
+    }
+
+    this.pendingSize = size;
+    return false;
+  }
+
+  /**
+   * Применение размеров тела
+   * Вызывается физическим движком для отложенного изменения размеров
+   *
+   * @param  {Object}  size         Объект с размерами
+   * @param  {Number}  size.width   Ширина
+   * @param  {Number}  size.height  Высота
+   * @param  {String}  size.anchor  Точка привязки
+   */
+  applySize(size) {
+    const offsetY = resizeBody(this, size);
+    // Позиция на земле смещается вместе с позицией
+    this.lastGroundPositionY += offsetY;
+
+    this.pendingSize = null;
+    this.isSizeBlocked = false;
+    this._updateBounds();
+  }
+
   /**
    * Установка позиции телу игрока
    *
@@ -119,6 +337,42 @@ class BodyPlayer {
    * @param  {Number}  delta  Время между предыдущим и текущим тиком
    */
   update(delta) {
+    // Сторона стены определяется заново при проверке коллизий
+    const wallDir = this.wallDir;
+    this.wallDir = 0;
+    this.isWallSliding = false;
+
+    // Уменьшаем оставшееся время блокировки управления движением
+    if(this.moveLockTimer > 0) {
+      this.moveLockTimer = Math.max(0, this.moveLockTimer - delta);
+    }
+
+    // Выполняем сохраненное нажатие прыжка после приземления
+    if(this.jumpBufferTimer > 0 && this.isOnGround) this.jump();
+
+    // Уменьшаем оставшееся время хранения нажатия прыжка
+    // и возможности прыжка после схода с платформы
+    if(this.jumpBufferTimer > 0) {
+      this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - delta);
+    }
+    if(this.coyoteTimer > 0) {
+      this.coyoteTimer = Math.max(0, this.coyoteTimer - delta);
+    }
+
+    // Уменьшаем оставшееся время восстановления рывка
+    if(this.dashCooldownTimer > 0) {
+      this.dashCooldownTimer = Math.max(0, this.dashCooldownTimer - delta);
+    }
+
+    // Во время рывка гравитация и управление движением не действуют
+    if(this.isDashing) {
+      this._updateDash(delta);
+      return;
+    }
+
+    // Изменение скорости движения с инерцией
+    if(this.acceleration > 0) this._updateMomentum(delta);
+
     // Если есть направление движения по оси X
     if(this.forceX) {
       // Устанавливаем свойство индикатора обновления
@@ -137,14 +391,45 @@ class BodyPlayer {
         // Закомментировать в случае добавления строительства
         //
         // Добавляем к позиции Y +1 для подтверждения нахождения на земле
-        this.position.y += 1;
+        // На наклонном теле позиция по оси Y следует за наклонной стороной
+        const slopeSurfaceY = this._getSlopeSurfaceY();
+        if(slopeSurfaceY !== null) {
+          this.position.y = slopeSurfaceY - this.normalBounds.max.y + 1;
+        } else {
+          this.position.y += 1;
+        }
         // Сбрасываем значение свойства нахождения на платформе
         this.isOnGround = false;
       }
     }
 
+    // Уменьшаем оставшееся время спрыгивания сквозь односторонние тела
+    if(this.dropThroughTimer > 0) {
+      this.dropThroughTimer = Math.max(0, this.dropThroughTimer - delta);
+    }
+
     // Сбрасываем индикатор движения по оси Y
     this.moveDirectionY = 0;
+    // Позиция по оси Y до вертикального перемещения
+    const prevY = this.position.y;
+
+    // Зона лазания определяется заново при проверке коллизий
+    this.climbBody = null;
+
+    // Если тело лазает, гравитация не действует
+    if(this.isClimbing) {
+      if(this.climbDirY) {
+        // Изменяем позицию по оси Y в направлении лазания
+        this.position.y += this.climbDirY * this.climbSpeed * delta;
+        // Устанавливаем индикатор движения по оси Y
+        this.moveDirectionY = this.climbDirY;
+        // Устанавливаем свойство индикатора обновления
+        this.isUpdated = true;
+      }
+
+      if(this.isUpdated) this._updateBounds();
+      return;
+    }
 
     // Если запущен таймер прыжка
     if(this.jumpTimer !== false) {
@@ -160,11 +445,11 @@ class BodyPlayer {
 
       // Добавляет расстояние к последней позиции на земле по оси Y
       this.position.y = this.lastGroundPositionY
-        + this.gravity * Math.pow(this.jumpTimer - this.jumpCoef, 2)
-        - this.jumpDistance;
+        + this.gravity * Math.pow(this.jumpTimer - this.currentJumpCoef, 2)
+        - this.currentJumpDistance;
 
       // Устанавливаем индикатор движения по оси Y
-      this.moveDirectionY = this.jumpTimer - this.jumpCoef > 0 ? 1 : -1;
+      this.moveDirectionY = this.jumpTimer - this.currentJumpCoef > 0 ? 1 : -1;
 
       // Устанавливаем свойство индикатора обновления
       this.isUpdated = true;
@@ -191,6 +476,18 @@ class BodyPlayer {
       this.isUpdated = true;
     }
 
+    // Если тело падает вдоль стены, скорость падения ограничивается
+    // скоростью скольжения по стене
+    if(wallDir !== 0 && !this.isOnGround && this.moveDirectionY === 1) {
+      const maxY = prevY + this.wallSlideSpeed * delta;
+      if(this.position.y > maxY) {
+        this.position.y = maxY;
+        this.isWallSliding = true;
+        // Падение продолжается со скоростью скольжения
+        this._setFallSpeed(this.wallSlideSpeed);
+      }
+    }
+
     // ВАЖНО: учитывает разрушаемость платформ под игроком
     // Раскомментировать в случае добавления строительства
     //
@@ -210,19 +507,37 @@ class BodyPlayer {
    * @param  {Object}  correction    Вектор корректировки позиции
    * @param  {Number}  correction.x  Корректировка по оси X
    * @param  {Number}  correction.y  Корректировка по оси Y
+   * @param  {Body}    body          Тело, с которым произошло столкновение
    */
-  updateCollision(correction) {
+  updateCollision(correction, body) {
     // Если есть пересечение по оси X
     if(correction.x != 0) {
       // Сбрасываем значение направления прыжка и движения по оси X
       this.jumpInitDir = 0;
+      // Запоминаем сторону стены, корректировка направлена от стены
+      if(!this.isOnGround) this.wallDir = correction.x > 0 ? -1 : 1;
+      // При движении с инерцией скорость в сторону стены теряется,
+      // подвижные тела толкаются без потери скорости
+      if(this.acceleration > 0 &&
+         body.type !== BODIES_TYPES.PLAYER &&
+         body.type !== BODIES_TYPES.BOUNCE &&
+         Math.sign(correction.x) !== Math.sign(this.forceX)) this.forceX = 0;
       //this.forceX = 0;
     }
 
     // Столкновение нижней стороной
     if(correction.y < 0) {
+      // Сброс времени возможности прыжка после схода с платформы
+      this.coyoteTimer = 0;
+      // Восстановление прыжков в воздухе
+      this.airJumpsLeft = this.airJumps;
+      // Завершение лазания при спуске на платформу
+      this.isClimbing = false;
+      this.climbDirY = 0;
       // Установка статуса "на земле"
       this.isOnGround = true;
+      // Сохранение тела, на котором стоит тело игрока
+      this.groundBody = body;
       // Сброс значения направления прыжка
       this.jumpInitDir = 0;
       // Сброс таймеров прыжка и падения
@@ -249,6 +564,13 @@ class BodyPlayer {
    *                        1 = движение вправо
    */
   move(dir) {
+    // Управление движением заблокировано после прыжка от стены
+    if(this.moveLockTimer > 0) return;
+
+    this.moveDir = dir;
+    // При движении с инерцией скорость изменяется при обновлении
+    if(this.acceleration > 0) return;
+
     // Устанавливаем скорость горизонтального движения
     this.forceX = this.moveSpeed * dir;
 
@@ -263,6 +585,13 @@ class BodyPlayer {
   }
 
   stop() {
+    // Управление движением заблокировано после прыжка от стены
+    if(this.moveLockTimer > 0) return;
+
+    this.moveDir = 0;
+    // При движении с инерцией скорость изменяется при обновлении
+    if(this.acceleration > 0) return;
+
     this.forceX = 0;
   }
 
@@ -270,14 +599,34 @@ class BodyPlayer {
    * Прыжок тела игрока
    */
   jump() {
-    // Если тело не на земле, ничего не делаем
-    if(!this.isOnGround) return;
+    // Прыжок с зоны лазания завершает лазание
+    if(this.isClimbing) {
+      this.isClimbing = false;
+      this.climbDirY = 0;
+      this.isOnGround = true;
+    }
 
-    // Устанавливаем таймер прыжка в значение 0
-    this.jumpTimer = 0;
-    // Устанавливаем текущую позицию оси Y
-    // в значение последней позиции на земле по оси Y
-    this.lastGroundPositionY = this.position.y;
+    // Прыжок прерывает рывок
+    if(this.isDashing) this._stopDash();
+
+    // Если тело не на земле и время после схода с платформы истекло,
+    // выполняем прыжок в воздухе, если они остались,
+    // иначе сохраняем нажатие прыжка до приземления
+    if(!this.isOnGround && this.coyoteTimer === 0) {
+      if(this.airJumpsLeft > 0) {
+        this.airJumpsLeft--;
+        this._startJump(this.airJumpDistance);
+        this.jumpBufferTimer = 0;
+      } else {
+        this.jumpBufferTimer = this.jumpBufferTime;
+      }
+      return;
+    }
+
+    // Запуск прыжка
+    this._startJump(this.jumpDistance);
+    this.coyoteTimer = 0;
+    this.jumpBufferTimer = 0;
 
     // В зависимости от текущего направления движения
     // устанавливаем значение изначального направления прыжка
@@ -285,6 +634,279 @@ class BodyPlayer {
     if(this.forceX > 0) this.jumpInitDir = 1;
 
     this.isOnGround = false;
+    this.wasOnGround = false;
+    this.groundBody = null;
+  }
+
+  /**
+   * Рывок тела игрока
+   * Тело перемещается на dashDistance за dashTime без учета гравитации,
+   * следующий рывок возможен через dashCooldown после завершения
+   *
+   * @param  {Number}  [dir]  Направление рывка
+   *                          -1 = влево
+   *                          1 = вправо
+   *                          по умолчанию - направление движения
+   */
+  dash(dir) {
+    if(this.dashDistance <= 0 || this.isDashing || this.isClimbing) return;
+    if(this.dashCooldownTimer > 0) return;
+
+    const dashDir = dir || Math.sign(this.forceX) || this.dashDir || 1;
+
+    this.isDashing = true;
+    this.dashDir = dashDir > 0 ? 1 : -1;
+    this.dashTimer = 0;
+
+    // Прыжок и падение прерываются
+    this.jumpTimer = false;
+    this.fallTimer = false;
+    this.jumpBufferTimer = 0;
+  }
+
+  /**
+   * Получение состояния способностей тела игрока
+   * Необходимо для выбора анимаций
+   *
+   * @return  {Object}  Объект с состоянием способностей
+   */
+  getAbilities() {
+    return {
+      airJumps: this.airJumps,
+      airJumpsLeft: this.airJumpsLeft,
+      isDashing: this.isDashing,
+      dashDir: this.dashDir,
+      dashProgress: this.isDashing
+        ? Math.min(1, this.dashTimer / this.dashTime)
+        : 0,
+      dashCooldown: this.dashCooldownTimer,
+      canDash: this.dashDistance > 0 && !this.isDashing &&
+               !this.isClimbing && this.dashCooldownTimer === 0
+    };
+  }
+
+  /**
+   * Изменение скорости движения с инерцией
+   * На земле ускорение и максимальная скорость зависят от параметров
+   * поверхности тела, на котором стоит тело игрока
+   * Параметры поверхности есть только у статических и кинематических тел,
+   * на остальных телах используются значения по умолчанию
+   *
+   * @param  {Number}  delta  Время между предыдущим и текущим тиком
+   */
+  _updateMomentum(delta) {
+    const groundBody = this.isOnGround && this.groundBody &&
+                       (this.groundBody.type === BODIES_TYPES.STATIC ||
+                        this.groundBody.type === BODIES_TYPES.KINEMATIC)
+      ? this.groundBody
+      : null;
+    const friction = groundBody ? groundBody.friction : 1;
+    const speedFactor = groundBody ? groundBody.speedFactor : 1;
+
+    // Без управления в воздухе скорость сохраняется
+    if(!this.isOnGround && this.moveDir === 0) return;
+
+    // Скорость, к которой стремится тело
+    const targetSpeed = this.moveDir * this.maxSpeed * speedFactor;
+
+    // Величина изменения скорости
+    let rate;
+    if(!this.isOnGround) rate = this.airAcceleration;
+    // Разгон в сторону движения до максимальной скорости
+    else if(this.moveDir !== 0 &&
+            Math.sign(this.forceX) !== -this.moveDir &&
+            Math.abs(this.forceX) < Math.abs(targetSpeed)) {
+      rate = this.acceleration * friction;
+    }
+    // Торможение, разворот или превышение максимальной скорости
+    else rate = this.deceleration * friction;
+
+    const difference = targetSpeed - this.forceX;
+    const step = rate * delta;
+
+    if(Math.abs(difference) <= step) this.forceX = targetSpeed;
+    else this.forceX += Math.sign(difference) * step;
+  }
+
+  /**
+   * Перемещение тела во время рывка
+   *
+   * @param  {Number}  delta  Время между предыдущим и текущим тиком
+   */
+  _updateDash(delta) {
+    // Время рывка на текущем шаге не превышает оставшееся время рывка
+    const time = Math.min(delta, this.dashTime - this.dashTimer);
+
+    this.position.x += this.dashDir * this.dashDistance / this.dashTime * time;
+    this.dashTimer += delta;
+
+    // Если тело на земле, добавляем к позиции Y +1
+    // для подтверждения нахождения на земле
+    if(this.isOnGround) {
+      this.position.y += 1;
+      this.isOnGround = false;
+    }
+
+    this.moveDirectionY = 0;
+    this.isUpdated = true;
+    // Зона лазания определяется заново при проверке коллизий
+    this.climbBody = null;
+
+    if(this.dashTimer >= this.dashTime) this._stopDash();
+
+    this._updateBounds();
+  }
+
+  /**
+   * Завершение рывка и запуск времени восстановления
+   */
+  _stopDash() {
+    this.isDashing = false;
+    this.dashTimer = 0;
+    this.dashCooldownTimer = this.dashCooldown;
+
+    // В воздухе после рывка начинается падение
+    if(!this.isOnGround && this.jumpTimer === false) this._setFallSpeed(0);
+  }
+
+  /**
+   * Отпускание прыжка
+   * Если тело еще поднимается, скорость подъема уменьшается
+   * до доли jumpCutFactor, поэтому короткое нажатие дает низкий прыжок
+   */
+  releaseJump() {
+    this.jumpBufferTimer = 0;
+
+    // Тело не прыгает или уже опускается
+    if(this.jumpTimer === false || this.jumpTimer >= this.currentJumpCoef) {
+      return;
+    }
+
+    // Скорость подъема по формуле a * (x - c)^2 равна 2 * a * (c - x)
+    const speed = 2 * this.gravity * (this.currentJumpCoef - this.jumpTimer)
+                * this.jumpCutFactor;
+
+    // Новый прыжок с текущей позиции с уменьшенной скоростью подъема
+    // Высота прыжка с начальной скоростью v равна v^2 / (4 * a)
+    if(speed > 0) this._startJump(speed * speed / (4 * this.gravity));
+    else this._setFallSpeed(0);
+  }
+
+  /**
+   * Прыжок тела игрока от стены
+   * Тело отталкивается от стены, управление движением блокируется
+   * на время wallJumpLockTime
+   */
+  wallJump() {
+    // Прыжок возможен только в воздухе при касании стены
+    if(this.isOnGround || this.isClimbing || this.wallDir === 0) return;
+
+    // Запуск прыжка с высотой прыжка от стены
+    this._startJump(this.wallJumpDistance);
+
+    // Отталкивание в сторону от стены
+    this.forceX = this.moveSpeed * -this.wallDir;
+    this.moveDir = -this.wallDir;
+    this.jumpInitDir = -this.wallDir;
+    this.moveLockTimer = this.wallJumpLockTime;
+
+    this.wallDir = 0;
+    this.isWallSliding = false;
+  }
+
+  /**
+   * Запуск прыжка с текущей позиции
+   *
+   * @param  {Number}  distance  Высота прыжка
+   */
+  _startJump(distance) {
+    // Устанавливаем таймер прыжка в значение 0
+    this.jumpTimer = 0;
+    this.fallTimer = false;
+    // Устанавливаем текущую позицию оси Y
+    // в значение последней позиции на земле по оси Y
+    this.lastGroundPositionY = this.position.y;
+    // Устанавливаем высоту и коэффициент текущего прыжка
+    this.currentJumpDistance = distance;
+    this.currentJumpCoef = Math.sqrt(distance / this.gravity);
+  }
+
+  /**
+   * Перевод тела в состояние падения с заданной скоростью
+   * Таймер падения и последняя позиция на земле подбираются так,
+   * чтобы падение продолжилось с текущей позиции с этой скоростью
+   *
+   * @param  {Number}  speed  Скорость падения, пунктов/мс
+   */
+  _setFallSpeed(speed) {
+    // Скорость падения по формуле a * x^2 равна 2 * a * x
+    this.jumpTimer = false;
+    this.fallTimer = speed / (2 * this.gravity);
+    this.lastGroundPositionY = this.position.y
+      - this.gravity * Math.pow(this.fallTimer, 2);
+  }
+
+  /**
+   * Лазание тела игрока по зоне лазания
+   * Начать лазание можно, только пересекая зону лазания,
+   * вниз - только не стоя на земле или стоя на одностороннем теле
+   *
+   * @param  {Number}  dirY  Направление лазания
+   *                         -1 = вверх
+   *                         0 = остановка
+   *                         1 = вниз
+   */
+  climb(dirY) {
+    if(!this.isClimbing) {
+      if(!dirY || !this.climbBody) return;
+      if(dirY > 0 && this.isOnGround &&
+         !(this.groundBody && this.groundBody.oneWay)) return;
+
+      // Начало лазания, таймеры прыжка и падения отключаются
+      this.isClimbing = true;
+      this.isOnGround = false;
+      this.groundBody = null;
+      this.jumpTimer = false;
+      this.fallTimer = false;
+      this.jumpInitDir = 0;
+    }
+
+    this.climbDirY = dirY;
+  }
+
+  /**
+   * Спрыгивание тела игрока сквозь односторонние тела
+   * На время dropThroughTime односторонние тела не останавливают тело
+   */
+  dropThrough() {
+    this.dropThroughTimer = this.dropThroughTime;
+
+    // Если тело стоит на одностороннем теле, начинаем падение
+    if(this.isOnGround && this.groundBody && this.groundBody.oneWay) {
+      this.isOnGround = false;
+      this.groundBody = null;
+    }
+  }
+
+  /**
+   * Получение координаты по оси Y наклонной стороны тела,
+   * на котором стоит тело игрока, под текущей позицией
+   *
+   * @return  {Number}  Координата по оси Y или null,
+   *                    если тело игрока не над наклонным телом
+   */
+  _getSlopeSurfaceY() {
+    const groundBody = this.groundBody;
+    if(!groundBody || !groundBody.slope) return null;
+
+    const minX = this.position.x + this.normalBounds.min.x;
+    const maxX = this.position.x + this.normalBounds.max.x;
+    // Тело игрока ушло с наклонного тела
+    if(maxX < groundBody.bounds.min.x || minX > groundBody.bounds.max.x) {
+      return null;
+    }
+
+    return groundBody.getSurfaceTop(minX, maxX);
   }
 
   /**
@@ -303,6 +925,25 @@ class BodyPlayer {
     bounds.max.x = normalBounds.max.x + position.x;
     bounds.max.y = normalBounds.max.y + position.y;
   }
+
+  /**
+   * Сериализация состояния тела
+   *
+   * @return  {Object}  Объект с состоянием тела
+   */
+  toJSON() {
+    return serializeBody(this);
+  }
+
+  /**
+   * Восстановление тела из сериализованного состояния
+   *
+   * @param   {Object}      data  Объект с состоянием тела
+   * @return  {BodyPlayer}        Экземпляр класса тела
+   */
+  static fromJSON(data) {
+    return restoreBody(BodyPlayer, data);
+  }
 }
 
 export default BodyPlayer;
@@ -1,46 +1,121 @@
 import {
   BODIES_TYPES,
-  getNextId
+  getNextId,
+  setCollisionFilter,
+  setShape,
+  setPolygon,
+  setOneWay,
+  setSurface,
+  serializeBody,
+  restoreBody
 } from '../common';
+import Emitter from '../emitter';
+
+/**
+ * Получение высот верхней стороны наклонного тела из параметра slope
+ *
+ * @param   {String|Object}  slope   Параметр наклона: left - высокая
+ *                                   сторона слева, right - справа,
+ *                                   или объект { left, right } с высотами
+ *                                   верхней стороны от нижней стороны
+ * @param   {Number}         height  Высота тела
+ * @return  {Object}                 Объект с высотами { left, right }
+ *                                   или null, если тело не наклонное
+ */
+const getSlopeHeights = (slope, height) => {
+  if(!slope) return null;
+  if(slope === 'left') return { left: height, right: 0 };
+  if(slope === 'right') return { left: 0, right: height };
+
+  return {
+    left: Math.max(0, Math.min(height, slope.left)),
+    right: Math.max(0, Math.min(height, slope.right))
+  };
+};
 
 /**
  * Класс статического тела
  */
-class BodyStatic {
+class BodyStatic extends Emitter {
   /**
    * Конструктор
    *
-   * @param  {Object}   options           Объект с параметрами
-   * @param  {Number}   options.x         Позиция по оси X
-   * @param  {Number}   options.y         Позиция по оси Y
-   * @param  {Number}   options.width     Ширина
-   * @param  {Number}   options.height    Высота
-   * @param  {Boolean}  options.isSensor  Является ли тело сенсором
+   * @param  {Object}          options              Объект с параметрами
+   * @param  {Number}          options.x            Позиция по оси X
+   * @param  {Number}          options.y            Позиция по оси Y
+   * @param  {Number}          options.width        Ширина
+   * @param  {Number}          options.height       Высота
+   * @param  {Number}          options.radius       Радиус круглого тела,
+   *                                                заменяет ширину и высоту
+   * @param  {Array}           options.vertices     Вершины { x, y } выпуклого
+   *                                                многоугольника
+   *                                                относительно позиции,
+   *                                                заменяют ширину и высоту,
+   *                                                смещаются так, чтобы
+   *                                                позиция была центром
+   *                                                их обрамляющего
+   *                                                прямоугольника
+   * @param  {Boolean}         options.isSensor     Является ли тело сенсором
+   * @param  {Number}          options.category     Битовая категория тела
+   * @param  {Number}          options.mask         Маска категорий столкновений
+   * @param  {Number}          options.group        Группа фильтрации
+   *                                                столкновений
+   * @param  {Boolean|Object}  options.oneWay       Односторонняя
+   *                                                проходимость: true
+   *                                                или объект { up, down,
+   *                                                left, right }
+   * @param  {Number}          options.friction     Множитель ускорения
+   *                                                и торможения стоящих
+   *                                                тел игроков
+   * @param  {Number}          options.speedFactor  Множитель максимальной
+   *                                                скорости стоящих тел игроков
+   * @param  {Number}          options.restitution  Упругость поверхности
+   *                                                для упругих тел
+   * @param  {String|Object}   options.slope        Наклон верхней стороны:
+   *                                                left, right
+   *                                                или { left, right }
+   * @param  {Boolean}         options.climbable    Является ли тело зоной
+   *                                                лазания (лестницей)
    */
   constructor(options) {
+    super();
+
     // Позиция
     this.position = {
       x: options.x,
       y: options.y
     };
-    // Размеры
-    this.size = {
-      width: options.width,
-      height: options.height
+    // Позиция до последнего шага обновления
+    // Совпадает с позицией, так как статическое тело не двигается
+    this.prevPosition = {
+      x: options.x,
+      y: options.y
     };
+    // Форма и размеры
+    setShape(this, options);
+    setPolygon(this, options);
     // Индикатор является ли тело сенсором
     this.isSensor = options.isSensor ? true : false;
+    // Индикатор является ли тело зоной лазания
+    // Зона лазания не останавливает тела, тела игроков могут лазать по ней
+    this.climbable = options.climbable ? true : false;
 
     // Уникальный числовой идентификатор
     this.id = getNextId();
     // Установка свойства типа объекта
     this.type = BODIES_TYPES.STATIC;
+    // Установка параметров фильтрации столкновений
+    setCollisionFilter(this, options);
+    // Установка параметров односторонней проходимости
+    setOneWay(this, options);
+    // Установка параметров поверхности
+    setSurface(this, options);
     // Свойство для хранения пользовательских данных
     this.userData = {};
 
     // Расчет половинных значений ширины и высоты
-    const halfWidth = options.width / 2;
-    const halfHeight = options.height / 2;
+    const halfWidth = this.size.width / 2;
+    const halfHeight = this.size.height / 2;
     // Расчет координат обрамляющего тело прямоугольника
     this.bounds = {
       min: {
@@ -52,6 +127,101 @@ class BodyStatic {
         y: halfHeight + options.y
       },
     };
+
+    // Высоты верхней стороны наклонного тела у левой и правой сторон
+    // Круглое и многоугольное тело не может быть наклонным
+    this.slope = this.radius > 0 || this.normalVertices
+      ? null
+      : getSlopeHeights(options.slope, this.size.height);
+    // Вершины многоугольного или наклонного тела по часовой стрелке
+    // Необходимы для расчета столкновений и попаданий пуль
+    this.vertices = null;
+    if(this.normalVertices) {
+      this.vertices = this.normalVertices.map(vertex => ({
+        x: vertex.x + options.x,
+        y: vertex.y + options.y
+      }));
+    } else if(this.slope) {
+      const bounds = this.bounds;
+      this.vertices = [
+        { x: bounds.min.x, y: bounds.max.y - this.slope.left },
+        { x: bounds.max.x, y: bounds.max.y - this.slope.right },
+        { x: bounds.max.x, y: bounds.max.y },
+        { x: bounds.min.x, y: bounds.max.y }
+      ];
+    }
+  }
+
+  /**
+   * Получение координаты верхней стороны тела по оси Y
+   * в точке по оси X
+   *
+   * @param   {Number}  x  Координата по оси X
+   * @return  {Number}     Координата по оси Y
+   */
+  getSurfaceY(x) {
+    const bounds = this.bounds;
+    if(!this.slope) return bounds.min.y;
+
+    const width = bounds.max.x - bounds.min.x;
+    const clampedX = Math.max(bounds.min.x, Math.min(x, bounds.max.x));
+    const t = (clampedX - bounds.min.x) / width;
+    const height = this.slope.left + (this.slope.right - this.slope.left) * t;
+
+    return bounds.max.y - height;
+  }
+
+  /**
+   * Получение нормали верхней стороны тела
+   *
+   * @return  {Object}  Единичный вектор нормали { x, y },
+   *                    направленный от тела
+   */
+  getSurfaceNormal() {
+    if(!this.slope) return { x: 0, y: -1 };
+
+    const width = this.bounds.max.x - this.bounds.min.x;
+    // Изменение координаты по оси Y верхней стороны на единицу по оси X
+    const slope = (this.slope.left - this.slope.right) / width;
+    const length = Math.sqrt(slope * slope + 1);
+
+    return {
+      x: slope / length,
+      y: -1 / length
+    };
+  }
+
+  /**
+   * Получение наивысшей точки верхней стороны тела по оси Y
+   * на отрезке по оси X
+   *
+   * @param   {Number}  minX  Минимум отрезка по оси X
+   * @param   {Number}  maxX  Максимум отрезка по оси X
+   * @return  {Number}        Координата по оси Y
+   */
+  getSurfaceTop(minX, maxX) {
+    // Верхняя сторона - отрезок прямой,
+    // поэтому наивысшая точка находится на одном из концов
+    return Math.min(this.getSurfaceY(minX), this.getSurfaceY(maxX));
+  }
+
+  /**
+   * Сериализация состояния тела
+   *
+   * @return  {Object}  Объект с состоянием тела
+   */
+  toJSON() {
+    return serializeBody(this);
+  }
+
+  /**
+   * Восстановление тела из сериализованного состояния
+   *
+   * @param   {Object}      data  Объект с состоянием тела
+   * @return  {BodyStatic}        Экземпляр класса тела
+   */
+  static fromJSON(data) {
+    return restoreBody(BodyStatic, data);
   }
 }
 
@@ -1,29 +1,50 @@
 import {
-  BODIES_TYPES
-} from './common';
+  BODIES_TYPES,
+  getPairId,
+  canCollide
+} from '../common';
 
 /**
- * Значение сдвига для рассчета идентификаторов регионов
- * Размер региона = 2 в степени regionsShift
+ * Размер региона по умолчанию
  *
  * @type  {Number}
  */
-const regionsShift = 9;
+const DEFAULT_CELL_SIZE = 512;
+
+/**
+ * Расчет координаты региона по координате точки
+ * Используется округление вниз, чтобы отрицательные дробные координаты
+ * попадали в тот же регион, что и при обходе регионов вдоль отрезка
+ *
+ * @param   {Number}  value     Координата точки
+ * @param   {Number}  cellSize  Размер региона
+ * @return  {Number}            Координата региона
+ */
+const getRegionCoord = (value, cellSize) => {
+  return Math.floor(value / cellSize);
+};
 
 /**
  * Расчет координат регионов для тела
  *
- * @param   {Object}  bounds  Объект с координатами обрамляющего тело
- *                            прямоугольника
- * @return  {Array}           Массив с идентификаторами регионов
+ * @param   {Object}  bounds    Объект с координатами обрамляющего тело
+ *                              прямоугольника
+ * @param   {Number}  cellSize  Размер региона
+ * @return  {Array}             Массив с идентификаторами регионов
  */
-const getRegions = bounds => {
+const getRegions = (bounds, cellSize) => {
   const regions = [];
 
-  const sx = bounds.min.x >> regionsShift;
-  const sy = bounds.min.y >> regionsShift;
-  const ex = bounds.max.x >> regionsShift;
-  const ey = bounds.max.y >> regionsShift;
+  // Бесконечная координата, как и при побитовом сдвиге, попадает
+  // в нулевой регион, иначе обход регионов не завершится
+  const toCoord = value => isFinite(value)
+    ? getRegionCoord(value, cellSize)
+    : 0;
+
+  const sx = toCoord(bounds.min.x);
+  const sy = toCoord(bounds.min.y);
+  const ex = toCoord(bounds.max.x);
+  const ey = toCoord(bounds.max.y);
 
   for(let y = sy; y <= ey; y++) {
     for(let x = sx; x <= ex; x++) {
@@ -34,52 +55,20 @@ const getRegions = bounds => {
   return regions;
 };
 
-/**
- * Генерация идентификатора для пары тел
- *
- * @param   {Number}  bodyAId  Идентификатор первого тела
- * @param   {Number}  bodyBId  Идентификатор второго тела
- * @return  {String}           Строковый идентификатор
- */
-const getPairId = (bodyAId, bodyBId) => {
-  return bodyAId < bodyBId
-    ? bodyAId + ':' + bodyBId
-    : bodyBId + ':' + bodyAId;
-};
-
-/**
- * Определяет возможно ли столкновение тел
- *
- * @param   {Body}     bodyA  Первое тело
- * @param   {Body}     bodyB  Второе тело
- * @return  {Boolean}         Результат
- */
-const canCollide = (bodyA, bodyB) => {
-  // Сталкиваться не могут динаковые типы
-  if(bodyA.type === bodyB.type) return false;
-
-  // Упругие тела не могут сталкиваться с телами игроков и пулями
-  // Но могут со статическими объектами
-  if(bodyA.type === BODIES_TYPES.BOUNCE &&
-     bodyB.type !== BODIES_TYPES.STATIC) return false;
-  if(bodyB.type === BODIES_TYPES.BOUNCE &&
-     bodyA.type !== BODIES_TYPES.STATIC) return false;
-
-  // Пули не могут сталкиваться с телом владельца
-  if(bodyA.type === BODIES_TYPES.BULLET &&
-     bodyA.ownerId === bodyB.id) return false;
-  if(bodyB.type === BODIES_TYPES.BULLET &&
-     bodyB.ownerId === bodyA.id) return false;
-
-  // Иначе могут сталкиваться
-  return true;
-};
-
 /**
  * Хранилище пар объектов для расчета столкновений
  */
 class Grid {
-  constructor() {
+  /**
+   * Конструктор
+   *
+   * @param  {Object}  [options]         Объект с параметрами
+   * @param  {Number}  options.cellSize  Размер региона
+   */
+  constructor(options) {
+    // Размер региона
+    this.cellSize = options && options.cellSize || DEFAULT_CELL_SIZE;
+
     // Список пар тел для проверки столкновений
     // Каждое свойство - идентификатор пары
     //        значение - объект с информацией о паре
@@ -116,7 +105,7 @@ class Grid {
         if(body.type !== BODIES_TYPES.BULLET) body.isUpdated = false;
 
         // Получаем список регионов
-        const regions = getRegions(body.bounds);
+        const regions = getRegions(body.bounds, this.cellSize);
         const regionsString = regions.join(',');
         // Если старый список регионов не равен новому
         if(regionsString != body.regionsString) {
@@ -134,7 +123,7 @@ class Grid {
    */
   _addBody(body) {
     // Получение и установка списка регионов в свойство объекта
-    const regions = getRegions(body.bounds);
+    const regions = getRegions(body.bounds, this.cellSize);
     body.regions = regions;
     // Для не статических тел добавляем строковое представление списка регионов
     // Для ускорения проверки смены региона
@@ -309,6 +298,182 @@ class Grid {
       }
     }
   }
+
+  /**
+   * Получение тел из регионов, пересекающих прямоугольник
+   *
+   * @param   {Object}  bounds  Объект с координатами прямоугольника
+   * @return  {Array}           Массив тел без повторений
+   */
+  queryBounds(bounds) {
+    const bodies = [];
+    const visited = {};
+
+    const sx = getRegionCoord(bounds.min.x, this.cellSize);
+    const sy = getRegionCoord(bounds.min.y, this.cellSize);
+    const ex = getRegionCoord(bounds.max.x, this.cellSize);
+    const ey = getRegionCoord(bounds.max.y, this.cellSize);
+    const hashRegions = Object.keys(this.hash);
+
+    // Если прямоугольник покрывает больше регионов, чем занято телами
+    // (в том числе бесконечный прямоугольник), обходятся занятые регионы,
+    // иначе - регионы прямоугольника
+    const regions = (ex - sx + 1) * (ey - sy + 1) > hashRegions.length
+      ? hashRegions.filter(region => {
+        const coords = region.split(':');
+        const x = Number(coords[0]);
+        const y = Number(coords[1]);
+
+        return x >= sx && x <= ex && y >= sy && y <= ey;
+      })
+      : getRegions(bounds, this.cellSize);
+    for(let i = 0, iL = regions.length; i < iL; i++) {
+      const regionBodies = this.hash[regions[i]];
+      if(!regionBodies) continue;
+
+      for(let j = 0, jL = regionBodies.length; j < jL; j++) {
+        const body = regionBodies[j];
+        // Тело может находиться в нескольких регионах
+        if(visited[body.id]) continue;
+
+        visited[body.id] = true;
+        bodies.push(body);
+      }
+    }
+
+    return bodies;
+  }
+
+  /**
+   * Получение тел из регионов, через которые проходит отрезок
+   * Регионы обходятся по порядку от начала отрезка к концу
+   *
+   * @param   {Object}  from    Координаты начала отрезка
+   * @param   {Number}  from.x  Координата по оси X
+   * @param   {Number}  from.y  Координата по оси Y
+   * @param   {Object}  to      Координаты конца отрезка
+   * @param   {Number}  to.x    Координата по оси X
+   * @param   {Number}  to.y    Координата по оси Y
+   * @return  {Array}           Массив тел без повторений
+   */
+  querySegment(from, to) {
+    const bodies = [];
+    const visited = {};
+    const cellSize = this.cellSize;
+
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+
+    // Текущий и конечный регионы
+    let x = getRegionCoord(from.x, cellSize);
+    let y = getRegionCoord(from.y, cellSize);
+    const ex = getRegionCoord(to.x, cellSize);
+    const ey = getRegionCoord(to.y, cellSize);
+
+    // Направление перехода между регионами по осям
+    const stepX = Math.sign(dx);
+    const stepY = Math.sign(dy);
+
+    // Доля отрезка, при которой происходит переход в следующий регион
+    // по каждой из осей, и доля отрезка, равная размеру региона
+    let tMaxX = Infinity;
+    let tMaxY = Infinity;
+    const tDeltaX = dx !== 0 ? cellSize / Math.abs(dx) : Infinity;
+    const tDeltaY = dy !== 0 ? cellSize / Math.abs(dy) : Infinity;
+    if(dx > 0) tMaxX = ((x + 1) * cellSize - from.x) / dx;
+    if(dx < 0) tMaxX = (x * cellSize - from.x) / dx;
+    if(dy > 0) tMaxY = ((y + 1) * cellSize - from.y) / dy;
+    if(dy < 0) tMaxY = (y * cellSize - from.y) / dy;
+
+    // Количество регионов на пути отрезка
+    // Ограничивает обход в случае ошибок округления
+    let regionsCount = Math.abs(ex - x) + Math.abs(ey - y) + 1;
+
+    while(regionsCount--) {
+      const regionBodies = this.hash[x + ':' + y];
+
+      if(regionBodies) {
+        for(let i = 0, l = regionBodies.length; i < l; i++) {
+          const body = regionBodies[i];
+          if(visited[body.id]) continue;
+
+          visited[body.id] = true;
+          bodies.push(body);
+        }
+      }
+
+      // Переход в следующий регион по оси с ближайшей границей
+      if(tMaxX < tMaxY) {
+        x += stepX;
+        tMaxX += tDeltaX;
+      } else {
+        y += stepY;
+        tMaxY += tDeltaY;
+      }
+    }
+
+    return bodies;
+  }
+
+  /**
+   * Сериализация состояния сетки
+   * Тела заменяются их идентификаторами
+   *
+   * @return  {Object}  Объект с состоянием сетки
+   */
+  toJSON() {
+    const hash = {};
+    for(let region in this.hash) {
+      hash[region] = this.hash[region].map(body => body.id);
+    }
+
+    const pairs = {};
+    for(let pairId in this.pairs) {
+      const pair = this.pairs[pairId];
+      pairs[pairId] = {
+        id: pair.id,
+        bodyA: pair.bodyA.id,
+        bodyB: pair.bodyB.id,
+        count: pair.count
+      };
+    }
+
+    return {
+      type: 'grid',
+      cellSize: this.cellSize,
+      hash: hash,
+      pairs: pairs
+    };
+  }
+
+  /**
+   * Восстановление сетки из сериализованного состояния
+   *
+   * @param   {Object}  data        Объект с состоянием сетки
+   * @param   {Object}  bodiesById  Объект с телами по их идентификаторам
+   * @return  {Grid}                Экземпляр класса сетки
+   */
+  static fromJSON(data, bodiesById) {
+    const grid = new Grid({
+      cellSize: data.cellSize
+    });
+
+    for(let region in data.hash) {
+      grid.hash[region] = data.hash[region].map(id => bodiesById[id]);
+    }
+
+    for(let pairId in data.pairs) {
+      const pair = data.pairs[pairId];
+      grid.pairs[pairId] = {
+        id: pair.id,
+        bodyA: bodiesById[pair.bodyA],
+        bodyB: bodiesById[pair.bodyB],
+        count: pair.count
+      };
+    }
+
+    return grid;
+  }
 }
 
 export default Grid;
@@ -0,0 +1,190 @@
+import {
+  BODIES_TYPES,
+  getPairId,
+  canCollide
+} from '../common';
+import {
+  isBoundsOverlap
+} from '../engine';
+
+/**
+ * Хранилище пар объектов для расчета столкновений
+ * методом сортировки и отсечения (sort and sweep)
+ *
+ * Тела сортируются по минимальной координате по оси X,
+ * пары составляются из тел с пересекающимися проекциями на ось X
+ * и проверяются по оси Y
+ */
+class SweepAndPrune {
+  constructor() {
+    // Список пар тел для проверки столкновений
+    // Каждое свойство - идентификатор пары
+    //        значение - объект с информацией о паре
+    // Пересчитывается при каждом обновлении
+    this.pairs = {};
+
+    // Список тел, отсортированный по минимальной координате по оси X
+    this.bodies = [];
+
+    // Идентификаторы добавленных тел
+    this.bodiesIds = {};
+  }
+
+  /**
+   * Обновление порядка тел и пар для проверки столкновений
+   *
+   * @param  {Array}  bodies  Массив тел физического мира
+   */
+  update(bodies) {
+    const sorted = this.bodies;
+
+    for(let i = 0, l = bodies.length; i < l; i++) {
+      const body = bodies[i];
+
+      // Добавление новых тел в конец списка,
+      // место в списке определится при сортировке
+      if(!this.bodiesIds[body.id]) {
+        this.bodiesIds[body.id] = true;
+        sorted.push(body);
+      }
+
+      // Сбрасываем значение обновления
+      // Статические тела не изменяются, у тел пуль оно всегда установлено
+      if(body.type !== BODIES_TYPES.STATIC &&
+         body.type !== BODIES_TYPES.BULLET) body.isUpdated = false;
+    }
+
+    // Сортировка вставками, так как между обновлениями
+    // порядок тел меняется незначительно
+    for(let i = 1, l = sorted.length; i < l; i++) {
+      const body = sorted[i];
+      const minX = body.bounds.min.x;
+
+      let j = i - 1;
+      while(j >= 0 && sorted[j].bounds.min.x > minX) {
+        sorted[j + 1] = sorted[j];
+        j--;
+      }
+      sorted[j + 1] = body;
+    }
+
+    // Составление пар тел с пересекающимися обрамляющими прямоугольниками
+    const pairs = {};
+    for(let i = 0, iL = sorted.length; i < iL; i++) {
+      const body = sorted[i];
+      const maxX = body.bounds.max.x;
+
+      for(let j = i + 1; j < iL; j++) {
+        const otherBody = sorted[j];
+        // Остальные тела правее текущего
+        if(otherBody.bounds.min.x > maxX) break;
+
+        if(!isBoundsOverlap(body.bounds, otherBody.bounds)) continue;
+        if(!canCollide(body, otherBody)) continue;
+
+        const pairId = getPairId(body.id, otherBody.id);
+        pairs[pairId] = {
+          id: pairId,
+          bodyA: body,
+          bodyB: otherBody,
+          count: 1
+        };
+      }
+    }
+
+    this.pairs = pairs;
+  }
+
+  /**
+   * Удаление тела из списка и пар для проверки столкновений
+   *
+   * @param  {Body}  body  Тело для удаления
+   */
+  removeBody(body) {
+    if(!this.bodiesIds[body.id]) return;
+
+    const index = this.bodies.indexOf(body);
+    if(index > -1) this.bodies.splice(index, 1);
+    delete(this.bodiesIds[body.id]);
+
+    // Удаление пар тела
+    for(let pairId in this.pairs) {
+      const pair = this.pairs[pairId];
+      if(pair.bodyA === body || pair.bodyB === body) {
+        delete(this.pairs[pairId]);
+      }
+    }
+  }
+
+  /**
+   * Получение тел, обрамляющие прямоугольники которых
+   * пересекают прямоугольник
+   *
+   * @param   {Object}  bounds  Объект с координатами прямоугольника
+   * @return  {Array}           Массив тел
+   */
+  queryBounds(bounds) {
+    const result = [];
+    const sorted = this.bodies;
+
+    for(let i = 0, l = sorted.length; i < l; i++) {
+      const body = sorted[i];
+      // Остальные тела правее прямоугольника
+      if(body.bounds.min.x > bounds.max.x) break;
+
+      if(isBoundsOverlap(body.bounds, bounds)) result.push(body);
+    }
+
+    return result;
+  }
+
+  /**
+   * Получение тел, обрамляющие прямоугольники которых
+   * пересекают прямоугольник, описанный вокруг отрезка
+   *
+   * @param   {Object}  from  Координаты начала отрезка
+   * @param   {Object}  to    Координаты конца отрезка
+   * @return  {Array}         Массив тел
+   */
+  querySegment(from, to) {
+    return this.queryBounds({
+      min: { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y) },
+      max: { x: Math.max(from.x, to.x), y: Math.max(from.y, to.y) }
+    });
+  }
+
+  /**
+   * Сериализация состояния
+   * Пары не сохраняются, так как пересчитываются при обновлении
+   *
+   * @return  {Object}  Объект с состоянием
+   */
+  toJSON() {
+    return {
+      type: 'sweep',
+      bodies: this.bodies.map(body => body.id)
+    };
+  }
+
+  /**
+   * Восстановление из сериализованного состояния
+   *
+   * @param   {Object}         data        Объект с состоянием
+   * @param   {Object}         bodiesById  Объект с телами
+   *                                       по их идентификаторам
+   * @return  {SweepAndPrune}              Экземпляр класса
+   */
+  static fromJSON(data, bodiesById) {
+    const sweep = new SweepAndPrune();
+
+    for(let i = 0, l = data.bodies.length; i < l; i++) {
+      const body = bodiesById[data.bodies[i]];
+      sweep.bodies.push(body);
+      sweep.bodiesIds[body.id] = true;
+    }
+
+    return sweep;
+  }
+}
+
+export default SweepAndPrune;
@@ -0,0 +1,527 @@
+import {
+  BODIES_TYPES,
+  getPairId,
+  canCollide
+} from '../common';
+import {
+  isBoundsOverlap,
+  intersectSegmentBounds
+} from '../engine';
+
+/**
+ * Расширение обрамляющих прямоугольников подвижных тел по умолчанию
+ *
+ * @type  {Number}
+ */
+const DEFAULT_MARGIN = 16;
+
+/**
+ * Создание узла дерева
+ *
+ * @return  {Object}  Объект узла
+ */
+const createNode = () => {
+  return {
+    // Обрамляющий прямоугольник узла
+    bounds: {
+      min: { x: 0, y: 0 },
+      max: { x: 0, y: 0 }
+    },
+    // Родительский и дочерние узлы
+    parent: null,
+    left: null,
+    right: null,
+    // Тело листового узла
+    body: null,
+    // Высота поддерева, у листового узла равна 0
+    height: 0
+  };
+};
+
+/**
+ * Запись в прямоугольник объединения двух прямоугольников
+ *
+ * @param  {Object}  boundsA  Объект с координатами первого прямоугольника
+ * @param  {Object}  boundsB  Объект с координатами второго прямоугольника
+ * @param  {Object}  out      Объект для записи результата
+ */
+const combineBounds = (boundsA, boundsB, out) => {
+  out.min.x = Math.min(boundsA.min.x, boundsB.min.x);
+  out.min.y = Math.min(boundsA.min.y, boundsB.min.y);
+  out.max.x = Math.max(boundsA.max.x, boundsB.max.x);
+  out.max.y = Math.max(boundsA.max.y, boundsB.max.y);
+};
+
+/**
+ * Полупериметр прямоугольника, используется как оценка стоимости узла
+ *
+ * @param   {Object}  bounds  Объект с координатами прямоугольника
+ * @return  {Number}          Полупериметр
+ */
+const getHalfPerimeter = bounds => {
+  return bounds.max.x - bounds.min.x + bounds.max.y - bounds.min.y;
+};
+
+/**
+ * Проверка нахождения одного прямоугольника внутри другого
+ *
+ * @param   {Object}   outer  Объект с координатами внешнего прямоугольника
+ * @param   {Object}   inner  Объект с координатами внутреннего прямоугольника
+ * @return  {Boolean}         Результат
+ */
+const containsBounds = (outer, inner) => {
+  return outer.min.x <= inner.min.x &&
+         outer.min.y <= inner.min.y &&
+         outer.max.x >= inner.max.x &&
+         outer.max.y >= inner.max.y;
+};
+
+/**
+ * Хранилище пар объектов для расчета столкновений
+ * на основе динамического дерева обрамляющих прямоугольников
+ *
+ * Листья дерева хранят расширенные обрамляющие прямоугольники тел,
+ * лист перестраивается только при выходе тела за расширенный прямоугольник
+ */
+class AABBTree {
+  /**
+   * Конструктор
+   *
+   * @param  {Object}  [options]         Объект с параметрами
+   * @param  {Number}  options.margin    Расширение обрамляющих
+   *                                     прямоугольников подвижных тел
+   */
+  constructor(options) {
+    // Расширение обрамляющих прямоугольников подвижных тел
+    this.margin = options && options.margin !== undefined
+      ? options.margin
+      : DEFAULT_MARGIN;
+
+    // Список пар тел для проверки столкновений
+    // Каждое свойство - идентификатор пары
+    //        значение - объект с информацией о паре
+    // Пересчитывается при каждом обновлении
+    this.pairs = {};
+
+    // Корневой узел дерева
+    this.root = null;
+
+    // Листовые узлы по идентификаторам тел
+    this.leaves = {};
+
+    // Список тел в порядке добавления
+    // Определяет порядок пар независимо от формы дерева
+    this.bodies = [];
+  }
+
+  /**
+   * Обновление листьев дерева и пар для проверки столкновений
+   *
+   * @param  {Array}  bodies  Массив тел физического мира
+   */
+  update(bodies) {
+    for(let i = 0, l = bodies.length; i < l; i++) {
+      const body = bodies[i];
+      const leaf = this.leaves[body.id];
+
+      // Добавление нового тела
+      if(!leaf) {
+        this._addBody(body);
+        continue;
+      }
+
+      // Статическое тело не изменяется
+      if(body.type === BODIES_TYPES.STATIC) continue;
+
+      if(body.isUpdated) {
+        // Сбрасываем значение обновления
+        if(body.type !== BODIES_TYPES.BULLET) body.isUpdated = false;
+
+        // Если тело вышло за расширенный прямоугольник, перестраиваем лист
+        if(!containsBounds(leaf.bounds, body.bounds)) {
+          this._removeLeaf(leaf);
+          this._setLeafBounds(leaf);
+          this._insertLeaf(leaf);
+        }
+      }
+    }
+
+    // Составление пар тел с пересекающимися обрамляющими прямоугольниками
+    // Пары ищутся только для подвижных тел,
+    // так как статические тела не сталкиваются друг с другом
+    const pairs = {};
+    for(let i = 0, iL = this.bodies.length; i < iL; i++) {
+      const body = this.bodies[i];
+      if(body.type === BODIES_TYPES.STATIC) continue;
+
+      const others = this.queryBounds(body.bounds);
+      // Сортировка для порядка пар, не зависящего от формы дерева
+      others.sort((a, b) => a.id - b.id);
+
+      for(let j = 0, jL = others.length; j < jL; j++) {
+        const otherBody = others[j];
+        if(otherBody === body) continue;
+        // Проверка по реальным, а не расширенным прямоугольникам
+        if(!isBoundsOverlap(body.bounds, otherBody.bounds)) continue;
+
+        const pairId = getPairId(body.id, otherBody.id);
+        if(pairs[pairId]) continue;
+        if(!canCollide(body, otherBody)) continue;
+
+        pairs[pairId] = {
+          id: pairId,
+          bodyA: body,
+          bodyB: otherBody,
+          count: 1
+        };
+      }
+    }
+
+    this.pairs = pairs;
+  }
+
+  /**
+   * Удаление тела из дерева и пар для проверки столкновений
+   *
+   * @param  {Body}  body  Тело для удаления
+   */
+  removeBody(body) {
+    const leaf = this.leaves[body.id];
+    if(!leaf) return;
+
+    this._removeLeaf(leaf);
+    delete(this.leaves[body.id]);
+
+    const index = this.bodies.indexOf(body);
+    if(index > -1) this.bodies.splice(index, 1);
+
+    // Удаление пар тела
+    for(let pairId in this.pairs) {
+      const pair = this.pairs[pairId];
+      if(pair.bodyA === body || pair.bodyB === body) {
+        delete(this.pairs[pairId]);
+      }
+    }
+  }
+
+  /**
+   * Получение тел, расширенные прямоугольники которых
+   * пересекают прямоугольник
+   *
+   * @param   {Object}  bounds  Объект с координатами прямоугольника
+   * @return  {Array}           Массив тел
+   */
+  queryBounds(bounds) {
+    const result = [];
+    if(!this.root) return result;
+
+    const stack = [ this.root ];
+    while(stack.length) {
+      const node = stack.pop();
+      if(!isBoundsOverlap(node.bounds, bounds)) continue;
+
+      if(node.body) result.push(node.body);
+      else stack.push(node.left, node.right);
+    }
+
+    return result;
+  }
+
+  /**
+   * Получение тел, расширенные прямоугольники которых пересекает отрезок
+   *
+   * @param   {Object}  from  Координаты начала отрезка
+   * @param   {Object}  to    Координаты конца отрезка
+   * @return  {Array}         Массив тел
+   */
+  querySegment(from, to) {
+    const result = [];
+    if(!this.root) return result;
+
+    const stack = [ this.root ];
+    while(stack.length) {
+      const node = stack.pop();
+      if(!intersectSegmentBounds(from, to, node.bounds)) continue;
+
+      if(node.body) result.push(node.body);
+      else stack.push(node.left, node.right);
+    }
+
+    return result;
+  }
+
+  /**
+   * Добавление тела в дерево
+   *
+   * @param  {Body}  body  Тело для добавления
+   */
+  _addBody(body) {
+    const leaf = createNode();
+    leaf.body = body;
+
+    this._setLeafBounds(leaf);
+    this._insertLeaf(leaf);
+
+    this.leaves[body.id] = leaf;
+    this.bodies.push(body);
+  }
+
+  /**
+   * Установка расширенного прямоугольника листа по прямоугольнику тела
+   * Статические тела не расширяются, так как не двигаются
+   *
+   * @param  {Object}  leaf  Листовой узел
+   */
+  _setLeafBounds(leaf) {
+    const body = leaf.body;
+    const margin = body.type === BODIES_TYPES.STATIC ? 0 : this.margin;
+
+    leaf.bounds.min.x = body.bounds.min.x - margin;
+    leaf.bounds.min.y = body.bounds.min.y - margin;
+    leaf.bounds.max.x = body.bounds.max.x + margin;
+    leaf.bounds.max.y = body.bounds.max.y + margin;
+  }
+
+  /**
+   * Вставка листа в дерево
+   * Соседний узел выбирается по наименьшему росту полупериметров
+   *
+   * @param  {Object}  leaf  Листовой узел
+   */
+  _insertLeaf(leaf) {
+    if(!this.root) {
+      this.root = leaf;
+      leaf.parent = null;
+      return;
+    }
+
+    const leafBounds = leaf.bounds;
+    const combined = createNode().bounds;
+
+    // Поиск наилучшего соседнего узла
+    let sibling = this.root;
+    while(!sibling.body) {
+      const left = sibling.left;
+      const right = sibling.right;
+
+      const perimeter = getHalfPerimeter(sibling.bounds);
+      combineBounds(sibling.bounds, leafBounds, combined);
+      const combinedPerimeter = getHalfPerimeter(combined);
+
+      // Стоимость создания нового родителя для текущего узла и листа
+      const cost = 2 * combinedPerimeter;
+      // Минимальная стоимость спуска к дочерним узлам
+      const inheritanceCost = 2 * (combinedPerimeter - perimeter);
+
+      const costLeft = this._getDescendCost(left, leafBounds, combined)
+                     + inheritanceCost;
+      const costRight = this._getDescendCost(right, leafBounds, combined)
+                      + inheritanceCost;
+
+      if(cost < costLeft && cost < costRight) break;
+
+      sibling = costLeft < costRight ? left : right;
+    }
+
+    // Создание нового родителя для соседнего узла и листа
+    const oldParent = sibling.parent;
+    const newParent = createNode();
+    newParent.parent = oldParent;
+    newParent.height = sibling.height + 1;
+    combineBounds(sibling.bounds, leafBounds, newParent.bounds);
+
+    if(oldParent) {
+      if(oldParent.left === sibling) oldParent.left = newParent;
+      else oldParent.right = newParent;
+    } else {
+      this.root = newParent;
+    }
+
+    newParent.left = sibling;
+    newParent.right = leaf;
+    sibling.parent = newParent;
+    leaf.parent = newParent;
+
+    // Обновление высот и прямоугольников вверх по дереву
+    this._refit(leaf.parent);
+  }
+
+  /**
+   * Стоимость спуска к дочернему узлу при вставке листа
+   *
+   * @param   {Object}  node        Дочерний узел
+   * @param   {Object}  leafBounds  Прямоугольник вставляемого листа
+   * @param   {Object}  combined    Объект для промежуточных расчетов
+   * @return  {Number}              Стоимость
+   */
+  _getDescendCost(node, leafBounds, combined) {
+    combineBounds(node.bounds, leafBounds, combined);
+    const combinedPerimeter = getHalfPerimeter(combined);
+
+    if(node.body) return combinedPerimeter;
+    return combinedPerimeter - getHalfPerimeter(node.bounds);
+  }
+
+  /**
+   * Удаление листа из дерева
+   *
+   * @param  {Object}  leaf  Листовой узел
+   */
+  _removeLeaf(leaf) {
+    if(leaf === this.root) {
+      this.root = null;
+      return;
+    }
+
+    const parent = leaf.parent;
+    const grandParent = parent.parent;
+    const sibling = parent.left === leaf ? parent.right : parent.left;
+
+    // Соседний узел занимает место родителя
+    if(grandParent) {
+      if(grandParent.left === parent) grandParent.left = sibling;
+      else grandParent.right = sibling;
+      sibling.parent = grandParent;
+
+      this._refit(grandParent);
+    } else {
+      this.root = sibling;
+      sibling.parent = null;
+    }
+
+    leaf.parent = null;
+  }
+
+  /**
+   * Балансировка, обновление высот и прямоугольников узлов
+   * от переданного узла до корня
+   *
+   * @param  {Object}  node  Начальный узел
+   */
+  _refit(node) {
+    while(node) {
+      node = this._balance(node);
+
+      node.height = 1 + Math.max(node.left.height, node.right.height);
+      combineBounds(node.left.bounds, node.right.bounds, node.bounds);
+
+      node = node.parent;
+    }
+  }
+
+  /**
+   * Балансировка узла поворотом, если высоты поддеревьев
+   * отличаются больше чем на 1
+   *
+   * @param   {Object}  a  Узел для балансировки
+   * @return  {Object}     Узел, занявший место переданного
+   */
+  _balance(a) {
+    if(a.body || a.height < 2) return a;
+
+    const b = a.left;
+    const c = a.right;
+    const balance = c.height - b.height;
+
+    // Поворот правого поддерева вверх
+    if(balance > 1) {
+      const f = c.left;
+      const g = c.right;
+
+      this._replaceChild(a, c);
+      c.left = a;
+      a.parent = c;
+
+      // Большее поддерево остается у поднятого узла
+      const higher = f.height > g.height ? f : g;
+      const lower = f.height > g.height ? g : f;
+      c.right = higher;
+      a.right = lower;
+      lower.parent = a;
+
+      combineBounds(b.bounds, lower.bounds, a.bounds);
+      combineBounds(a.bounds, higher.bounds, c.bounds);
+      a.height = 1 + Math.max(b.height, lower.height);
+      c.height = 1 + Math.max(a.height, higher.height);
+
+      return c;
+    }
+
+    // Поворот левого поддерева вверх
+    if(balance < -1) {
+      const d = b.left;
+      const e = b.right;
+
+      this._replaceChild(a, b);
+      b.left = a;
+      a.parent = b;
+
+      // Большее поддерево остается у поднятого узла
+      const higher = d.height > e.height ? d : e;
+      const lower = d.height > e.height ? e : d;
+      b.right = higher;
+      a.left = lower;
+      lower.parent = a;
+
+      combineBounds(c.bounds, lower.bounds, a.bounds);
+      combineBounds(a.bounds, higher.bounds, b.bounds);
+      a.height = 1 + Math.max(c.height, lower.height);
+      b.height = 1 + Math.max(a.height, higher.height);
+
+      return b;
+    }
+
+    return a;
+  }
+
+  /**
+   * Замена узла на дочерний узел в родителе узла
+   *
+   * @param  {Object}  node   Заменяемый узел
+   * @param  {Object}  child  Дочерний узел, занимающий его место
+   */
+  _replaceChild(node, child) {
+    const parent = node.parent;
+    child.parent = parent;
+
+    if(!parent) this.root = child;
+    else if(parent.left === node) parent.left = child;
+    else parent.right = child;
+  }
+
+  /**
+   * Сериализация состояния
+   * Сохраняется порядок тел, дерево перестраивается при восстановлении,
+   * пары не сохраняются, так как пересчитываются при обновлении
+   *
+   * @return  {Object}  Объект с состоянием
+   */
+  toJSON() {
+    return {
+      type: 'tree',
+      margin: this.margin,
+      bodies: this.bodies.map(body => body.id)
+    };
+  }
+
+  /**
+   * Восстановление из сериализованного состояния
+   *
+   * @param   {Object}    data        Объект с состоянием
+   * @param   {Object}    bodiesById  Объект с телами по их идентификаторам
+   * @return  {AABBTree}              Экземпляр класса
+   */
+  static fromJSON(data, bodiesById) {
+    const tree = new AABBTree({
+      margin: data.margin
+    });
+
+    for(let i = 0, l = data.bodies.length; i < l; i++) {
+      tree._addBody(bodiesById[data.bodies[i]]);
+    }
+
+    return tree;
+  }
+}
+
+export default AABBTree;
@@ -11,19 +11,362 @@ const BODIES_TYPES = {
   // Упругое тело
   BOUNCE: 2,
   // Тело пули
-  BULLET: 3
+  BULLET: 3,
+  // Кинематическое тело
+  KINEMATIC: 4
 };
 
 /**
- * Ограничения количества коррекций столкновений упругого тела
+ * Категории тел для фильтрации столкновений
+ * Каждая категория - отдельный бит
  *
  * @type  {Object}
  */
-const BOUNCE_FIXES_LIMIT = {
-  // По оси X
-  X: 3,
-  // По оси Y
-  Y: 3
+const BODIES_CATEGORIES = {
+  STATIC: 0x0001,
+  PLAYER: 0x0002,
+  BOUNCE: 0x0004,
+  BULLET: 0x0008,
+  KINEMATIC: 0x0010
+};
+
+/**
+ * Фильтры столкновений по умолчанию для типов тел
+ * Повторяют исходные правила:
+ * - тела одинаковых типов не сталкиваются
+ * - упругие тела сталкиваются только со статическими
+ * - кинематические тела сталкиваются с теми же телами, что и статические,
+ *   и не сталкиваются со статическими
+ * Столкновения игроков и упругих тел между собой включаются масками
+ * и разрешаются с учетом масс тел
+ *
+ * @type  {Object}
+ */
+const DEFAULT_FILTERS = {
+  [BODIES_TYPES.STATIC]: {
+    category: BODIES_CATEGORIES.STATIC,
+    mask: BODIES_CATEGORIES.PLAYER |
+          BODIES_CATEGORIES.BOUNCE |
+          BODIES_CATEGORIES.BULLET
+  },
+  [BODIES_TYPES.KINEMATIC]: {
+    category: BODIES_CATEGORIES.KINEMATIC,
+    mask: BODIES_CATEGORIES.PLAYER |
+          BODIES_CATEGORIES.BOUNCE |
+          BODIES_CATEGORIES.BULLET
+  },
+  [BODIES_TYPES.PLAYER]: {
+    category: BODIES_CATEGORIES.PLAYER,
+    mask: BODIES_CATEGORIES.STATIC |
+          BODIES_CATEGORIES.KINEMATIC |
+          BODIES_CATEGORIES.BULLET
+  },
+  [BODIES_TYPES.BOUNCE]: {
+    category: BODIES_CATEGORIES.BOUNCE,
+    mask: BODIES_CATEGORIES.STATIC |
+          BODIES_CATEGORIES.KINEMATIC
+  },
+  [BODIES_TYPES.BULLET]: {
+    category: BODIES_CATEGORIES.BULLET,
+    mask: BODIES_CATEGORIES.STATIC |
+          BODIES_CATEGORIES.KINEMATIC |
+          BODIES_CATEGORIES.PLAYER
+  }
+};
+
+/**
+ * Установка телу параметров фильтрации столкновений
+ * Если параметры не переданы, используются значения по умолчанию для типа
+ *
+ * @param  {Body}    body              Экземпляр класса тела
+ * @param  {Object}  options           Объект с параметрами
+ * @param  {Number}  options.category  Битовая категория тела
+ * @param  {Number}  options.mask      Битовая маска категорий,
+ *                                     с которыми тело сталкивается
+ * @param  {Number}  options.group     Группа тела: тела одной положительной
+ *                                     группы сталкиваются всегда,
+ *                                     отрицательной - никогда
+ */
+const setCollisionFilter = (body, options) => {
+  const filter = DEFAULT_FILTERS[body.type];
+
+  body.category = options.category !== undefined
+    ? options.category
+    : filter.category;
+  body.mask = options.mask !== undefined
+    ? options.mask
+    : filter.mask;
+  body.group = options.group || 0;
+};
+
+/**
+ * Установка телу формы и размеров
+ * Круглое тело задается радиусом, его размеры - диаметр круга
+ *
+ * @param  {Body}    body            Экземпляр класса тела
+ * @param  {Object}  options         Объект с параметрами
+ * @param  {Number}  options.width   Ширина прямоугольного тела
+ * @param  {Number}  options.height  Высота прямоугольного тела
+ * @param  {Number}  options.radius  Радиус круглого тела
+ */
+const setShape = (body, options) => {
+  // Радиус круглого тела, 0 - прямоугольное тело
+  body.radius = options.radius > 0 ? options.radius : 0;
+
+  body.size = body.radius > 0
+    ? { width: body.radius * 2, height: body.radius * 2 }
+    : { width: options.width, height: options.height };
+};
+
+/**
+ * Установка телу формы выпуклого многоугольника
+ * Вершины задаются относительно позиции тела и смещаются так,
+ * чтобы позиция была центром обрамляющего прямоугольника,
+ * порядок вершин приводится к обходу по часовой стрелке
+ * Размеры тела - размеры обрамляющего прямоугольника вершин
+ *
+ * @param  {Body}    body              Экземпляр класса тела
+ * @param  {Object}  options           Объект с параметрами
+ * @param  {Array}   options.vertices  Массив вершин { x, y }
+ */
+const setPolygon = (body, options) => {
+  const vertices = options.vertices;
+
+  // Нормализованные (приведенные к позиции) координаты вершин,
+  // null - тело не многоугольное
+  body.normalVertices = null;
+  if(!vertices || vertices.length < 3) return;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for(let i = 0, l = vertices.length; i < l; i++) {
+    minX = Math.min(minX, vertices[i].x);
+    minY = Math.min(minY, vertices[i].y);
+    maxX = Math.max(maxX, vertices[i].x);
+    maxY = Math.max(maxY, vertices[i].y);
+  }
+
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const normalVertices = vertices.map(vertex => ({
+    x: vertex.x - centerX,
+    y: vertex.y - centerY
+  }));
+
+  // Удвоенная площадь со знаком, отрицательная при обходе
+  // против часовой стрелки (ось Y направлена вниз)
+  let area = 0;
+  for(let i = 0, l = normalVertices.length; i < l; i++) {
+    const a = normalVertices[i];
+    const b = normalVertices[(i + 1) % l];
+    area += a.x * b.y - b.x * a.y;
+  }
+  if(area < 0) normalVertices.reverse();
+
+  body.normalVertices = normalVertices;
+  body.radius = 0;
+  body.size = {
+    width: maxX - minX,
+    height: maxY - minY
+  };
+};
+
+/**
+ * Проходимость одностороннего тела по умолчанию (при значении true):
+ * тела проходят его снизу и сбоку и стоят на нем сверху
+ *
+ * @type  {Object}
+ */
+const DEFAULT_ONE_WAY = {
+  up: true,
+  down: false,
+  left: true,
+  right: true
+};
+
+/**
+ * Установка телу параметров односторонней проходимости
+ * Каждое свойство указывает, могут ли тела, движущиеся
+ * в этом направлении, проходить сквозь тело
+ *
+ * @param  {Body}            body            Экземпляр класса тела
+ * @param  {Object}          options         Объект с параметрами
+ * @param  {Boolean|Object}  options.oneWay  true - проходимость
+ *                                           по умолчанию,
+ *                                           объект { up, down, left, right }
+ *                                           - проходимость по направлениям
+ */
+const setOneWay = (body, options) => {
+  const oneWay = options.oneWay;
+
+  if(!oneWay) {
+    body.oneWay = null;
+    return;
+  }
+
+  const passability = oneWay === true ? DEFAULT_ONE_WAY : oneWay;
+  body.oneWay = {
+    up: passability.up ? true : false,
+    down: passability.down ? true : false,
+    left: passability.left ? true : false,
+    right: passability.right ? true : false
+  };
+};
+
+/**
+ * Установка телу параметров поверхности
+ * Влияют на движение стоящих на теле тел игроков с инерцией движения
+ * и на отскок упругих тел
+ *
+ * @param  {Body}    body                 Экземпляр класса тела
+ * @param  {Object}  options              Объект с параметрами
+ * @param  {Number}  options.friction     Множитель ускорения и торможения,
+ *                                        меньше 1 - скользкая поверхность
+ * @param  {Number}  options.speedFactor  Множитель максимальной скорости,
+ *                                        меньше 1 - вязкая поверхность,
+ *                                        больше 1 - ускоряющая
+ * @param  {Number}  options.restitution  Упругость поверхности от 0 до 1,
+ *                                        при отскоке используется большая
+ *                                        из упругостей тела и поверхности
+ */
+const setSurface = (body, options) => {
+  body.friction = options.friction !== undefined ? options.friction : 1;
+  body.speedFactor = options.speedFactor !== undefined
+    ? options.speedFactor
+    : 1;
+  body.restitution = options.restitution || 0;
+};
+
+/**
+ * Смещение центра тела по оси Y при изменении высоты
+ * в зависимости от точки привязки
+ *
+ * @param   {Number}  oldHeight  Текущая высота
+ * @param   {Number}  newHeight  Новая высота
+ * @param   {String}  anchor     Точка привязки: center - центр,
+ *                               bottom - нижняя сторона (ноги),
+ *                               top - верхняя сторона
+ * @return  {Number}             Смещение по оси Y
+ */
+const getAnchorOffsetY = (oldHeight, newHeight, anchor) => {
+  if(anchor === 'bottom') return (oldHeight - newHeight) / 2;
+  if(anchor === 'top') return (newHeight - oldHeight) / 2;
+  return 0;
+};
+
+/**
+ * Получение координат обрамляющего прямоугольника тела
+ * после изменения размеров
+ *
+ * @param   {Body}    body         Экземпляр класса тела
+ * @param   {Object}  size         Объект с новыми размерами
+ * @param   {Number}  size.width   Ширина
+ * @param   {Number}  size.height  Высота
+ * @param   {String}  size.anchor  Точка привязки
+ * @return  {Object}               Объект с координатами прямоугольника
+ */
+const getResizedBounds = (body, size) => {
+  const x = body.position.x;
+  const y = body.position.y
+          + getAnchorOffsetY(body.size.height, size.height, size.anchor);
+
+  return {
+    min: { x: x - size.width / 2, y: y - size.height / 2 },
+    max: { x: x + size.width / 2, y: y + size.height / 2 }
+  };
+};
+
+/**
+ * Изменение размеров тела
+ * Позиция смещается так, чтобы точка привязки осталась на месте
+ * Круг круглого тела вписывается в новые размеры,
+ * многоугольник многоугольного тела растягивается
+ * Координаты обрамляющего прямоугольника тело обновляет само
+ *
+ * @param   {Body}    body         Экземпляр класса тела
+ * @param   {Object}  size         Объект с новыми размерами
+ * @param   {Number}  size.width   Ширина
+ * @param   {Number}  size.height  Высота
+ * @param   {String}  size.anchor  Точка привязки
+ * @return  {Number}               Смещение позиции по оси Y
+ */
+const resizeBody = (body, size) => {
+  const offsetY = getAnchorOffsetY(body.size.height, size.height, size.anchor);
+
+  // Вершины многоугольного тела масштабируются под новые размеры
+  if(body.normalVertices) {
+    const scaleX = size.width / body.size.width;
+    const scaleY = size.height / body.size.height;
+    for(let i = 0, l = body.normalVertices.length; i < l; i++) {
+      body.normalVertices[i].x *= scaleX;
+      body.normalVertices[i].y *= scaleY;
+    }
+  }
+
+  body.size.width = size.width;
+  body.size.height = size.height;
+  if(body.radius > 0) body.radius = Math.min(size.width, size.height) / 2;
+
+  // Нормализованные координаты обрамляющего прямоугольника
+  const normalBounds = body.normalBounds;
+  normalBounds.min.x = -size.width / 2;
+  normalBounds.min.y = -size.height / 2;
+  normalBounds.max.x = size.width / 2;
+  normalBounds.max.y = size.height / 2;
+
+  // Смещение позиции и позиции до последнего шага обновления,
+  // чтобы не нарушить интерполяцию
+  body.position.y += offsetY;
+  body.prevPosition.y += offsetY;
+
+  body.isUpdated = true;
+
+  return offsetY;
+};
+
+/**
+ * Генерация идентификатора для пары тел
+ *
+ * @param   {Number}  bodyAId  Идентификатор первого тела
+ * @param   {Number}  bodyBId  Идентификатор второго тела
+ * @return  {String}           Строковый идентификатор
+ */
+const getPairId = (bodyAId, bodyBId) => {
+  return bodyAId < bodyBId
+    ? bodyAId + ':' + bodyBId
+    : bodyBId + ':' + bodyAId;
+};
+
+/**
+ * Определяет возможно ли столкновение тел
+ * Использует категории, маски и группы тел,
+ * значения по умолчанию повторяют исходные правила для типов тел
+ *
+ * @param   {Body}     bodyA  Первое тело
+ * @param   {Body}     bodyB  Второе тело
+ * @return  {Boolean}         Результат
+ */
+const canCollide = (bodyA, bodyB) => {
+  // Пули не могут сталкиваться с телом владельца
+  if(bodyA.type === BODIES_TYPES.BULLET &&
+     bodyA.ownerId === bodyB.id) return false;
+  if(bodyB.type === BODIES_TYPES.BULLET &&
+     bodyB.ownerId === bodyA.id) return false;
+
+  // Тела одной группы сталкиваются всегда, если группа положительная,
+  // и никогда, если отрицательная
+  if(bodyA.group !== 0 && bodyA.group === bodyB.group) {
+    return bodyA.group > 0;
+  }
+
+  // Маска каждого тела должна включать категорию другого
+  if((bodyA.mask & bodyB.category) === 0) return false;
+  if((bodyB.mask & bodyA.category) === 0) return false;
+
+  // Иначе могут сталкиваться
+  return true;
 };
 
 /**
@@ -42,8 +385,143 @@ const getNextId = () => {
   return nextId++;
 };
 
+/**
+ * Получение следующего уникального идентификатора без его использования
+ *
+ * @return  {Number}  Идентификатор
+ */
+const peekNextId = () => {
+  return nextId;
+};
+
+/**
+ * Гарантирует, что следующий уникальный идентификатор
+ * будет не меньше переданного значения
+ * Необходимо после восстановления тел с сохраненными идентификаторами
+ *
+ * @param  {Number}  value  Минимальное значение следующего идентификатора
+ */
+const ensureNextId = value => {
+  if(value > nextId) nextId = value;
+};
+
+/**
+ * Свойства тел, не попадающие в сериализованное состояние
+ *
+ * @type  {Array}
+ */
+const NOT_SERIALIZED_PROPERTIES = [
+  // Обработчики событий
+  'listeners'
+];
+
+/**
+ * Свойства тел, содержащие ссылки на другие тела
+ * При сериализации заменяются идентификаторами тел
+ *
+ * @type  {Array}
+ */
+const BODY_REFERENCE_PROPERTIES = [
+  // Тело, на котором стоит тело
+  'groundBody',
+  // Зона лазания, которую пересекает тело
+  'climbBody',
+  // Тело цели самонаводящейся пули
+  'targetBody'
+];
+
+/**
+ * Глубокое копирование данных (примитивов, массивов и простых объектов)
+ *
+ * @param   {*}  value  Значение для копирования
+ * @return  {*}         Копия значения
+ */
+const cloneData = value => {
+  if(Array.isArray(value)) return value.map(cloneData);
+
+  if(value !== null && typeof value === 'object') {
+    const result = {};
+    for(let key in value) result[key] = cloneData(value[key]);
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Сериализация состояния тела в простой объект
+ *
+ * @param   {Body}    body  Экземпляр класса тела
+ * @return  {Object}        Объект с состоянием тела
+ */
+const serializeBody = body => {
+  const data = {};
+
+  for(let key in body) {
+    if(!body.hasOwnProperty(key)) continue;
+    if(NOT_SERIALIZED_PROPERTIES.indexOf(key) > -1) continue;
+
+    // Ссылки на тела заменяются идентификаторами
+    if(BODY_REFERENCE_PROPERTIES.indexOf(key) > -1) {
+      data[key] = body[key] ? body[key].id : null;
+      continue;
+    }
+
+    data[key] = cloneData(body[key]);
+  }
+
+  return data;
+};
+
+/**
+ * Восстановление тела из сериализованного состояния
+ * Конструктор не вызывается, поэтому идентификатор тела сохраняется
+ *
+ * @param   {Function}  BodyClass  Класс тела
+ * @param   {Object}    data       Объект с состоянием тела
+ * @return  {Body}                 Экземпляр класса тела
+ */
+const restoreBody = (BodyClass, data) => {
+  const body = Object.create(BodyClass.prototype);
+
+  for(let key in data) body[key] = cloneData(data[key]);
+
+  return body;
+};
+
+/**
+ * Восстановление ссылок на другие тела после восстановления всех тел
+ *
+ * @param  {Body}    body        Экземпляр класса тела
+ * @param  {Object}  bodiesById  Объект с телами по их идентификаторам
+ */
+const restoreBodyReferences = (body, bodiesById) => {
+  for(let i = 0, l = BODY_REFERENCE_PROPERTIES.length; i < l; i++) {
+    const key = BODY_REFERENCE_PROPERTIES[i];
+    if(!body.hasOwnProperty(key)) continue;
+
+    body[key] = body[key] === null ? null : bodiesById[body[key]] || null;
+  }
+};
+
 export {
   BODIES_TYPES,
-  BOUNCE_FIXES_LIMIT,
-  getNextId
+  BODIES_CATEGORIES,
+  DEFAULT_FILTERS,
+  setCollisionFilter,
+  setShape,
+  setPolygon,
+  setOneWay,
+  setSurface,
+  getResizedBounds,
+  resizeBody,
+  getPairId,
+  canCollide,
+  getNextId,
+  peekNextId,
+  ensureNextId,
+  cloneData,
+  serializeBody,
+  restoreBody,
+  restoreBodyReferences
 };
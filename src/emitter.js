@@ -0,0 +1,63 @@
+/**
+ * Класс для подписки на события и их вызова
+ * Список обработчиков создается при первой подписке,
+ * так как восстановленные из сериализованного состояния тела
+ * создаются без вызова конструктора
+ */
+class Emitter {
+  /**
+   * Подписка на событие
+   *
+   * @param   {String}    name     Название события
+   * @param   {Function}  handler  Обработчик события
+   * @return  {Emitter}            Текущий экземпляр для цепочки вызовов
+   */
+  on(name, handler) {
+    if(!this.listeners) this.listeners = {};
+
+    if(this.listeners[name]) this.listeners[name].push(handler);
+    else this.listeners[name] = [ handler ];
+
+    return this;
+  }
+
+  /**
+   * Отписка от события
+   * Если обработчик не передан, удаляются все обработчики события
+   *
+   * @param   {String}    name       Название события
+   * @param   {Function}  [handler]  Обработчик события
+   * @return  {Emitter}              Текущий экземпляр для цепочки вызовов
+   */
+  off(name, handler) {
+    if(!this.listeners || !this.listeners[name]) return this;
+
+    if(!handler) {
+      delete(this.listeners[name]);
+      return this;
+    }
+
+    const index = this.listeners[name].indexOf(handler);
+    if(index > -1) this.listeners[name].splice(index, 1);
+
+    return this;
+  }
+
+  /**
+   * Вызов обработчиков события
+   *
+   * @param  {String}  name   Название события
+   * @param  {Object}  event  Объект с данными события
+   */
+  emit(name, event) {
+    if(!this.listeners || !this.listeners[name]) return;
+
+    // Копирование списка, так как обработчик может отписаться от события
+    const handlers = this.listeners[name].slice();
+    for(let i = 0, l = handlers.length; i < l; i++) {
+      handlers[i](event);
+    }
+  }
+}
+
+export default Emitter;
@@ -1,5 +1,7 @@
 import {
-  BODIES_TYPES
+  BODIES_TYPES,
+  canCollide,
+  getResizedBounds
 } from './common';
 
 /**
@@ -59,6 +61,588 @@ const getIntersection = (boundsA, boundsB) => {
   };
 };
 
+/**
+ * Проверка пересечения двух регионов
+ * Касание сторонами считается пересечением,
+ * как и при проверке коллизий по прямоугольнику пересечения
+ *
+ * @param   {Object}   boundsA  Объект с координатами первого региона
+ * @param   {Object}   boundsB  Объект с координатами второго региона
+ * @return  {Boolean}           Пересекаются ли регионы
+ */
+const isBoundsOverlap = (boundsA, boundsB) => {
+  return boundsA.min.x <= boundsB.max.x &&
+         boundsA.max.x >= boundsB.min.x &&
+         boundsA.min.y <= boundsB.max.y &&
+         boundsA.max.y >= boundsB.min.y;
+};
+
+/**
+ * Пересечение отрезка с прямоугольником
+ *
+ * @param   {Object}  from    Координаты начала отрезка
+ * @param   {Number}  from.x  Координата по оси X
+ * @param   {Number}  from.y  Координата по оси Y
+ * @param   {Object}  to      Координаты конца отрезка
+ * @param   {Number}  to.x    Координата по оси X
+ * @param   {Number}  to.y    Координата по оси Y
+ * @param   {Object}  bounds  Объект с координатами прямоугольника
+ * @return  {Object}          Объект с долей отрезка до точки входа
+ *                            (fraction) и нормалью стороны входа (normal)
+ *                            или null, если пересечения нет
+ */
+const intersectSegmentBounds = (from, to, bounds) => {
+  // Доли отрезка входа и выхода из прямоугольника
+  let tEnter = 0;
+  let tExit = 1;
+  // Нормаль стороны входа, нулевая если начало отрезка внутри прямоугольника
+  const normal = { x: 0, y: 0 };
+
+  const axes = [ 'x', 'y' ];
+  for(let i = 0; i < 2; i++) {
+    const axis = axes[i];
+    const delta = to[axis] - from[axis];
+
+    // Отрезок параллелен сторонам, проверяем нахождение между ними
+    if(delta === 0) {
+      if(from[axis] < bounds.min[axis] || from[axis] > bounds.max[axis]) {
+        return null;
+      }
+      continue;
+    }
+
+    // Доли отрезка до пересечения с прямыми сторон прямоугольника
+    let tNear = (bounds.min[axis] - from[axis]) / delta;
+    let tFar = (bounds.max[axis] - from[axis]) / delta;
+    // Направление нормали стороны входа
+    let direction = -1;
+    if(tNear > tFar) {
+      const t = tNear;
+      tNear = tFar;
+      tFar = t;
+      direction = 1;
+    }
+
+    if(tNear > tEnter) {
+      tEnter = tNear;
+      normal.x = axis === 'x' ? direction : 0;
+      normal.y = axis === 'y' ? direction : 0;
+    }
+    if(tFar < tExit) tExit = tFar;
+
+    if(tEnter > tExit) return null;
+  }
+
+  return {
+    fraction: tEnter,
+    normal: normal
+  };
+};
+
+/**
+ * Пересечение отрезка с выпуклым многоугольником
+ *
+ * @param   {Object}  from      Координаты начала отрезка
+ * @param   {Object}  to        Координаты конца отрезка
+ * @param   {Array}   vertices  Массив вершин многоугольника { x, y }
+ *                              по часовой стрелке
+ * @return  {Object}            Объект с долей отрезка до точки входа
+ *                              (fraction) и нормалью стороны входа (normal)
+ *                              или null, если пересечения нет
+ */
+const intersectSegmentPolygon = (from, to, vertices) => {
+  // Доли отрезка входа и выхода из многоугольника
+  let tEnter = 0;
+  let tExit = 1;
+  // Нормаль стороны входа, нулевая если начало отрезка внутри многоугольника
+  const normal = { x: 0, y: 0 };
+
+  const deltaX = to.x - from.x;
+  const deltaY = to.y - from.y;
+
+  for(let i = 0, l = vertices.length; i < l; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % l];
+
+    // Внешняя нормаль стороны
+    const normalX = b.y - a.y;
+    const normalY = a.x - b.x;
+    const length = Math.sqrt(normalX * normalX + normalY * normalY);
+    // Вырожденные стороны (совпадающие вершины) пропускаются
+    if(length === 0) continue;
+
+    const numerator = normalX * (a.x - from.x) + normalY * (a.y - from.y);
+    const denominator = normalX * deltaX + normalY * deltaY;
+
+    // Отрезок параллелен стороне, проверяем нахождение с внутренней стороны
+    if(denominator === 0) {
+      if(numerator < 0) return null;
+      continue;
+    }
+
+    const t = numerator / denominator;
+    // Отрезок входит в многоугольник через сторону
+    if(denominator < 0) {
+      if(t > tEnter) {
+        tEnter = t;
+        normal.x = normalX / length;
+        normal.y = normalY / length;
+      }
+    }
+    // Отрезок выходит из многоугольника через сторону
+    else if(t < tExit) tExit = t;
+
+    if(tEnter > tExit) return null;
+  }
+
+  return {
+    fraction: tEnter,
+    normal: normal
+  };
+};
+
+/**
+ * Проверка нахождения точки внутри выпуклого многоугольника
+ * Точка должна находиться с внутренней стороны каждой стороны
+ * многоугольника, точка на стороне считается внутри
+ *
+ * @param   {Object}   point     Координаты точки
+ * @param   {Array}    vertices  Массив вершин многоугольника { x, y }
+ *                               по часовой стрелке
+ * @return  {Boolean}            Результат
+ */
+const isPointInPolygon = (point, vertices) => {
+  for(let i = 0, l = vertices.length; i < l; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % l];
+
+    // Проекция на внешнюю нормаль стороны
+    const side = (b.y - a.y) * (point.x - a.x) + (a.x - b.x) * (point.y - a.y);
+    if(side > 0) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Пересечение отрезка с кругом
+ *
+ * @param   {Object}  from      Координаты начала отрезка
+ * @param   {Object}  to        Координаты конца отрезка
+ * @param   {Object}  center    Координаты центра круга
+ * @param   {Number}  center.x  Координата по оси X
+ * @param   {Number}  center.y  Координата по оси Y
+ * @param   {Number}  radius    Радиус круга
+ * @return  {Object}            Объект с долей отрезка до точки входа
+ *                              (fraction) и нормалью в точке входа (normal)
+ *                              или null, если пересечения нет
+ */
+const intersectSegmentCircle = (from, to, center, radius) => {
+  const deltaX = to.x - from.x;
+  const deltaY = to.y - from.y;
+  const offsetX = from.x - center.x;
+  const offsetY = from.y - center.y;
+
+  // Начало отрезка внутри круга, нормаль нулевая
+  const c = offsetX * offsetX + offsetY * offsetY - radius * radius;
+  if(c <= 0) {
+    return {
+      fraction: 0,
+      normal: { x: 0, y: 0 }
+    };
+  }
+
+  // Решение квадратного уравнения |from + delta * t - center| = radius
+  const a = deltaX * deltaX + deltaY * deltaY;
+  const b = offsetX * deltaX + offsetY * deltaY;
+  const discriminant = b * b - a * c;
+  if(a === 0 || discriminant < 0) return null;
+
+  // Доля отрезка до точки входа (меньший корень)
+  const fraction = (-b - Math.sqrt(discriminant)) / a;
+  if(fraction < 0 || fraction > 1) return null;
+
+  return {
+    fraction: fraction,
+    normal: {
+      x: (offsetX + deltaX * fraction) / radius,
+      y: (offsetY + deltaY * fraction) / radius
+    }
+  };
+};
+
+/**
+ * Получение координат центра обрамляющего прямоугольника тела
+ *
+ * @param   {Body}    body  Экземпляр класса тела
+ * @return  {Object}        Координаты центра
+ */
+const getBoundsCenter = body => {
+  const bounds = body.bounds;
+
+  return {
+    x: (bounds.min.x + bounds.max.x) / 2,
+    y: (bounds.min.y + bounds.max.y) / 2
+  };
+};
+
+/**
+ * Пересечение отрезка с телом по форме тела:
+ * многоугольнику, кругу или прямоугольнику
+ *
+ * @param   {Object}  from  Координаты начала отрезка
+ * @param   {Object}  to    Координаты конца отрезка
+ * @param   {Body}    body  Экземпляр класса тела
+ * @return  {Object}        Объект с долей отрезка до точки входа
+ *                          (fraction) и нормалью в точке входа (normal)
+ *                          или null, если пересечения нет
+ */
+const intersectSegmentBody = (from, to, body) => {
+  if(body.vertices) return intersectSegmentPolygon(from, to, body.vertices);
+  if(body.radius) {
+    return intersectSegmentCircle(from, to, getBoundsCenter(body), body.radius);
+  }
+
+  return intersectSegmentBounds(from, to, body.bounds);
+};
+
+/**
+ * Проверка, рассчитываются ли столкновения тела по его форме
+ * (круглого или многоугольного тела), а не по обрамляющему прямоугольнику
+ *
+ * @param   {Body}     body  Экземпляр класса тела
+ * @return  {Boolean}        Результат
+ */
+const hasShape = body => {
+  return body.radius > 0 || !!body.normalVertices;
+};
+
+/**
+ * Получение вершин тела по часовой стрелке
+ * Для прямоугольного тела вершины строятся по обрамляющему прямоугольнику
+ *
+ * @param   {Body}   body  Экземпляр класса тела
+ * @return  {Array}        Массив вершин { x, y }
+ */
+const getBodyVertices = body => {
+  if(body.vertices) return body.vertices;
+
+  const bounds = body.bounds;
+  return [
+    { x: bounds.min.x, y: bounds.min.y },
+    { x: bounds.max.x, y: bounds.min.y },
+    { x: bounds.max.x, y: bounds.max.y },
+    { x: bounds.min.x, y: bounds.max.y }
+  ];
+};
+
+/**
+ * Получение единичных внешних нормалей сторон многоугольника
+ *
+ * @param   {Array}  vertices  Массив вершин { x, y } по часовой стрелке
+ * @return  {Array}            Массив нормалей { x, y }
+ */
+const getEdgeNormals = vertices => {
+  const normals = [];
+
+  for(let i = 0, l = vertices.length; i < l; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % l];
+
+    const normalX = b.y - a.y;
+    const normalY = a.x - b.x;
+    const length = Math.sqrt(normalX * normalX + normalY * normalY);
+    // Вырожденные стороны (совпадающие вершины) пропускаются
+    if(length === 0) continue;
+
+    normals.push({
+      x: normalX / length,
+      y: normalY / length
+    });
+  }
+
+  return normals;
+};
+
+/**
+ * Проекция вершин на ось
+ *
+ * @param   {Array}   vertices  Массив вершин { x, y }
+ * @param   {Object}  axis      Единичный вектор оси
+ * @return  {Object}            Объект с минимумом (min)
+ *                              и максимумом (max) проекции
+ */
+const projectVertices = (vertices, axis) => {
+  let min = Infinity;
+  let max = -Infinity;
+
+  for(let i = 0, l = vertices.length; i < l; i++) {
+    const projection = vertices[i].x * axis.x + vertices[i].y * axis.y;
+    if(projection < min) min = projection;
+    if(projection > max) max = projection;
+  }
+
+  return {
+    min: min,
+    max: max
+  };
+};
+
+/**
+ * Получение центра вершин (среднего арифметического координат)
+ *
+ * @param   {Array}   vertices  Массив вершин { x, y }
+ * @return  {Object}            Координаты центра
+ */
+const getVerticesCenter = vertices => {
+  const center = { x: 0, y: 0 };
+  const l = vertices.length;
+
+  for(let i = 0; i < l; i++) {
+    center.x += vertices[i].x / l;
+    center.y += vertices[i].y / l;
+  }
+
+  return center;
+};
+
+/**
+ * Поиск оси наименьшего перекрытия проекций фигур по теореме
+ * о разделяющей оси (SAT)
+ *
+ * @param   {Array}     axes          Массив единичных векторов осей
+ * @param   {Function}  project       Функция проекции первой фигуры на ось
+ * @param   {Function}  projectOther  Функция проекции второй фигуры на ось
+ * @return  {Object}                  Объект с осью (normal) и величиной
+ *                                    перекрытия (depth) или null,
+ *                                    если найдена разделяющая ось
+ */
+const findMinOverlap = (axes, project, projectOther) => {
+  let result = null;
+
+  for(let i = 0, l = axes.length; i < l; i++) {
+    const axis = axes[i];
+    const projection = project(axis);
+    const otherProjection = projectOther(axis);
+
+    const overlap = Math.min(projection.max, otherProjection.max)
+                  - Math.max(projection.min, otherProjection.min);
+    // Разделяющая ось, фигуры не пересекаются
+    if(overlap < 0) return null;
+
+    if(!result || overlap < result.depth) {
+      result = {
+        normal: { x: axis.x, y: axis.y },
+        depth: overlap
+      };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Направление нормали контакта от одного центра к другому
+ *
+ * @param  {Object}  contact  Объект контакта с нормалью (normal)
+ * @param  {Object}  from     Координаты центра, от которого направлена
+ *                            нормаль
+ * @param  {Object}  to       Координаты центра, к которому направлена
+ *                            нормаль
+ */
+const orientContact = (contact, from, to) => {
+  const normal = contact.normal;
+  if((to.x - from.x) * normal.x + (to.y - from.y) * normal.y >= 0) return;
+
+  normal.x = -normal.x;
+  normal.y = -normal.y;
+};
+
+/**
+ * Получение контакта двух выпуклых многоугольников
+ * по теореме о разделяющей оси
+ *
+ * @param   {Array}   vertices       Вершины первого многоугольника
+ * @param   {Array}   otherVertices  Вершины второго многоугольника
+ * @return  {Object}                 Объект с нормалью, направленной
+ *                                   от первого многоугольника ко второму
+ *                                   (normal), и глубиной проникновения
+ *                                   (depth) или null, если многоугольники
+ *                                   не пересекаются
+ */
+const getPolygonsContact = (vertices, otherVertices) => {
+  const axes = getEdgeNormals(vertices).concat(getEdgeNormals(otherVertices));
+
+  const contact = findMinOverlap(
+    axes,
+    axis => projectVertices(vertices, axis),
+    axis => projectVertices(otherVertices, axis)
+  );
+  if(!contact) return null;
+
+  orientContact(
+    contact, getVerticesCenter(vertices), getVerticesCenter(otherVertices)
+  );
+  return contact;
+};
+
+/**
+ * Получение контакта круга и выпуклого многоугольника
+ * по теореме о разделяющей оси
+ *
+ * @param   {Object}  center    Координаты центра круга
+ * @param   {Number}  radius    Радиус круга
+ * @param   {Array}   vertices  Вершины многоугольника
+ * @return  {Object}            Объект с нормалью, направленной
+ *                              от многоугольника к кругу (normal),
+ *                              и глубиной проникновения (depth)
+ *                              или null, если фигуры не пересекаются
+ */
+const getCirclePolygonContact = (center, radius, vertices) => {
+  const axes = getEdgeNormals(vertices);
+
+  // Дополнительная ось - от ближайшей вершины к центру круга
+  let closest = vertices[0];
+  let closestDistance = Infinity;
+  for(let i = 0, l = vertices.length; i < l; i++) {
+    const dx = center.x - vertices[i].x;
+    const dy = center.y - vertices[i].y;
+    const distance = dx * dx + dy * dy;
+    if(distance < closestDistance) {
+      closest = vertices[i];
+      closestDistance = distance;
+    }
+  }
+  if(closestDistance > 0) {
+    const distance = Math.sqrt(closestDistance);
+    axes.push({
+      x: (center.x - closest.x) / distance,
+      y: (center.y - closest.y) / distance
+    });
+  }
+
+  const contact = findMinOverlap(
+    axes,
+    axis => projectVertices(vertices, axis),
+    axis => {
+      const projection = center.x * axis.x + center.y * axis.y;
+      return {
+        min: projection - radius,
+        max: projection + radius
+      };
+    }
+  );
+  if(!contact) return null;
+
+  orientContact(contact, getVerticesCenter(vertices), center);
+  return contact;
+};
+
+/**
+ * Получение контакта круглого тела с другим телом
+ *
+ * @param   {Body}    circleBody  Круглое тело
+ * @param   {Body}    otherBody   Круглое, многоугольное
+ *                                или прямоугольное тело
+ * @return  {Object}              Объект с нормалью, направленной
+ *                                от другого тела к круглому (normal),
+ *                                и глубиной проникновения (depth)
+ *                                или null, если тела не пересекаются
+ */
+const getCircleContact = (circleBody, otherBody) => {
+  const center = getBoundsCenter(circleBody);
+  const radius = circleBody.radius;
+
+  // Круг и круг
+  if(otherBody.radius) {
+    const otherCenter = getBoundsCenter(otherBody);
+    const dx = center.x - otherCenter.x;
+    const dy = center.y - otherCenter.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    const depth = radius + otherBody.radius - distance;
+    if(depth < 0) return null;
+
+    return {
+      // При совпадающих центрах круг выталкивается вверх
+      normal: distance > 0
+        ? { x: dx / distance, y: dy / distance }
+        : { x: 0, y: -1 },
+      depth: depth
+    };
+  }
+
+  // Круг и многоугольник
+  if(otherBody.vertices) {
+    return getCirclePolygonContact(center, radius, otherBody.vertices);
+  }
+
+  // Ближайшая к центру круга точка прямоугольника
+  const bounds = otherBody.bounds;
+  const closestX = Math.max(bounds.min.x, Math.min(center.x, bounds.max.x));
+  const closestY = Math.max(bounds.min.y, Math.min(center.y, bounds.max.y));
+  const dx = center.x - closestX;
+  const dy = center.y - closestY;
+
+  // Центр круга за пределами прямоугольника
+  if(dx !== 0 || dy !== 0) {
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    const depth = radius - distance;
+    if(depth < 0) return null;
+
+    return {
+      normal: { x: dx / distance, y: dy / distance },
+      depth: depth
+    };
+  }
+
+  // Центр круга внутри прямоугольника,
+  // круг выталкивается через ближайшую сторону
+  const sides = [
+    { distance: center.x - bounds.min.x, normal: { x: -1, y: 0 } },
+    { distance: bounds.max.x - center.x, normal: { x: 1, y: 0 } },
+    { distance: center.y - bounds.min.y, normal: { x: 0, y: -1 } },
+    { distance: bounds.max.y - center.y, normal: { x: 0, y: 1 } }
+  ];
+  let side = sides[0];
+  for(let i = 1; i < 4; i++) {
+    if(sides[i].distance < side.distance) side = sides[i];
+  }
+
+  return {
+    normal: side.normal,
+    depth: radius + side.distance
+  };
+};
+
+/**
+ * Получение контакта двух тел, хотя бы одно из которых
+ * круглое или многоугольное
+ * Прямоугольное тело рассматривается как многоугольник
+ *
+ * @param   {Body}    bodyA  Первое тело
+ * @param   {Body}    bodyB  Второе тело
+ * @return  {Object}         Объект с нормалью, направленной от первого тела
+ *                           ко второму (normal), и глубиной проникновения
+ *                           (depth) или null, если тела не пересекаются
+ */
+const getShapeContact = (bodyA, bodyB) => {
+  if(!bodyA.radius && !bodyB.radius) {
+    return getPolygonsContact(getBodyVertices(bodyA), getBodyVertices(bodyB));
+  }
+  if(bodyB.radius) return getCircleContact(bodyB, bodyA);
+
+  const contact = getCircleContact(bodyA, bodyB);
+  if(!contact) return null;
+
+  contact.normal = {
+    x: -contact.normal.x,
+    y: -contact.normal.y
+  };
+  return contact;
+};
+
 /**
  * Обработка пересечения линий
  * Сравнение расстройний с текущим результатом,
@@ -98,75 +682,418 @@ const handlingLineIntersect = (
   // Если выходное значение за границами, ничего не делаем
   if(output <= minOutputValue || output >= maxOutputValue) return;
 
-  // Считаем расстояние (полусумму сторон)
-  var halfSumm = Math.abs(output - prevOutput) + Math.abs(input - prevInput);
+  // Считаем расстояние (полусумму сторон)
+  var halfSumm = Math.abs(output - prevOutput) + Math.abs(input - prevInput);
+
+  // Если полусумма меньше полусуммы текущего результата
+  if(halfSumm < result.halfSumm) {
+    // Установка значений по осям
+    result.point[inputAxis] = input;
+    result.point[outputAxis] = output;
+    // Установка полусуммы
+    result.halfSumm = halfSumm;
+    // Установка объекта столкновения с телом пули
+    result.target = target;
+  }
+};
+
+/**
+ * Обработка пересечения отрезка пути пули с многоугольником
+ * или кругом тела
+ * Сравнение расстройний с текущим результатом,
+ * если меньше, изменения текущего результата
+ *
+ * @param  {Body}    bullet           Тело пули
+ * @param  {Body}    target           Тело столкновения с пулей
+ * @param  {Object}  result           Объект с информацией о текущем результате
+ * @param  {Object}  result.point     Объект с координатами точки пересечения
+ * @param  {Object}  result.normal    Нормаль стороны в точке пересечения
+ * @param  {Number}  result.halfSumm  Расстояние текущего результата
+ * @param  {Body}    result.target    Тело столкновения с пулей текущего
+ *                                    результата
+ */
+const handlingShapeIntersect = (bullet, target, result) => {
+  const from = bullet.prevPosition;
+  const to = bullet.position;
+
+  const intersection = intersectSegmentBody(from, to, target);
+  if(!intersection) return;
+
+  const x = from.x + (to.x - from.x) * intersection.fraction;
+  const y = from.y + (to.y - from.y) * intersection.fraction;
+
+  // Считаем расстояние (полусумму сторон)
+  const halfSumm = Math.abs(x - from.x) + Math.abs(y - from.y);
+
+  // Если полусумма меньше полусуммы текущего результата
+  if(halfSumm < result.halfSumm) {
+    result.point.x = x;
+    result.point.y = y;
+    result.normal = intersection.normal;
+    result.halfSumm = halfSumm;
+    result.target = target;
+  }
+};
+
+/**
+ * Поиск точки входа пути пули на текущем шаге в тело
+ *
+ * @param   {Body}    bullet  Тело пули
+ * @param   {Body}    target  Тело столкновения с пулей
+ * @return  {Object}          Объект с информацией о попадании или null
+ */
+const getBulletHit = (bullet, target) => {
+  // Объект для хранения данных о первом пересечении
+  // Первое пересечение - максимально близкое к предыдущей позиции тела пули
+  const hitResult = {
+    // Минимальная (наиболле близкая к предыдущей позиции тела пули)
+    // точка пересечения
+    point: { x: 0, y: 0 },
+    // Полусумма сторон прямоугольника (сумма катетов)
+    // 1) проще расчитывать, чем длинну диагонали (гипотенузы)
+    // 2) используется только для упорядочивания попаданий
+    halfSumm: Infinity,
+    // Нормаль стороны тела в точке пересечения
+    normal: null,
+    // Цель попадания
+    target: null
+  };
+
+  // Для тел с вершинами пересечение проверяется по их сторонам,
+  // для круглых тел - по окружности
+  if(target.vertices || target.radius) {
+    handlingShapeIntersect(bullet, target, hitResult);
+    return hitResult.target ? hitResult : null;
+  }
+
+  // Проверка пересечения с минимальным значением по оси X
+  handlingLineIntersect(
+    target.bounds.min.x, bullet.equationCoefs.ab, bullet.equationCoefs.cb,
+    target.bounds.min.y, target.bounds.max.y,
+    bullet.prevPosition.x, bullet.prevPosition.y,
+    'x', 'y',
+    target, hitResult
+  );
+
+  // Проверка пересечения с максимальным значением по оси X
+  handlingLineIntersect(
+    target.bounds.max.x, bullet.equationCoefs.ab, bullet.equationCoefs.cb,
+    target.bounds.min.y, target.bounds.max.y,
+    bullet.prevPosition.x, bullet.prevPosition.y,
+    'x', 'y',
+    target, hitResult
+  );
+
+  // Проверка пересечения с минимальным значением по оси Y
+  handlingLineIntersect(
+    target.bounds.min.y, bullet.equationCoefs.ba, bullet.equationCoefs.ca,
+    target.bounds.min.x, target.bounds.max.x,
+    bullet.prevPosition.y, bullet.prevPosition.x,
+    'y', 'x',
+    target, hitResult
+  );
+
+  // Проверка пересечения с максимальным значением по оси Y
+  handlingLineIntersect(
+    target.bounds.max.y, bullet.equationCoefs.ba, bullet.equationCoefs.ca,
+    target.bounds.min.x, target.bounds.max.x,
+    bullet.prevPosition.y, bullet.prevPosition.x,
+    'y', 'x',
+    target, hitResult
+  );
+
+  // Если не указана цель, значит столкновений нет
+  if(!hitResult.target) return null;
+
+  // Нормаль стороны прямоугольника, на которой лежит точка пересечения
+  const point = hitResult.point;
+  const bounds = target.bounds;
+  if(point.x === bounds.min.x) hitResult.normal = { x: -1, y: 0 };
+  else if(point.x === bounds.max.x) hitResult.normal = { x: 1, y: 0 };
+  else if(point.y === bounds.min.y) hitResult.normal = { x: 0, y: -1 };
+  else hitResult.normal = { x: 0, y: 1 };
+
+  return hitResult;
+};
+
+/**
+ * Допустимое расстояние между нижней стороной тела и верхней стороной
+ * подвижного тела, при котором тело считается стоящим на нем
+ *
+ * @type  {Number}
+ */
+const GROUND_CONTACT_TOLERANCE = 1;
+
+/**
+ * Проверка, является ли тело неподвижным при столкновениях
+ * (статическим или кинематическим)
+ *
+ * @param   {Body}     body  Экземпляр класса тела
+ * @return  {Boolean}        Результат
+ */
+const isImmovable = body => {
+  return body.type === BODIES_TYPES.STATIC ||
+         body.type === BODIES_TYPES.KINEMATIC;
+};
+
+/**
+ * Перенос тела, стоящего на кинематическом теле,
+ * на перемещение кинематического тела на текущем шаге
+ * Для тела, стоящего на игроке или упругом теле, только проверяется,
+ * что опора осталась под ним
+ *
+ * @param  {Body}  body  Экземпляр класса тела
+ */
+const carryBody = body => {
+  const groundBody = body.groundBody;
+  if(!groundBody || groundBody.type === BODIES_TYPES.STATIC) return;
+
+  // Подвижные тела перемещаются сами и не переносят стоящие на них тела
+  const moveDelta = groundBody.moveDelta || { x: 0, y: 0 };
+  const position = body.position;
+  const normalBounds = body.normalBounds;
+  const groundBounds = groundBody.bounds;
+
+  // Координаты тела опоры до перемещения на текущем шаге
+  const groundMinX = groundBounds.min.x - moveDelta.x;
+  const groundMaxX = groundBounds.max.x - moveDelta.x;
+  const groundMinY = groundBounds.min.y - moveDelta.y;
+
+  // Координаты тела считаются от позиции, так как после коррекции
+  // позиции обрамляющий прямоугольник тела еще не обновлен
+  const minX = position.x + normalBounds.min.x;
+  const maxX = position.x + normalBounds.max.x;
+  const maxY = position.y + normalBounds.max.y;
+
+  // Если тело больше не стоит на теле опоры,
+  // сбрасываем ссылку на него и статус нахождения на земле
+  if(maxX < groundMinX || minX > groundMaxX ||
+     Math.abs(maxY - groundMinY) > GROUND_CONTACT_TOLERANCE) {
+    body.groundBody = null;
+    if(body.type === BODIES_TYPES.PLAYER) body.isOnGround = false;
+    return;
+  }
+
+  if(moveDelta.x === 0 && moveDelta.y === 0) return;
+
+  // Перемещение тела вместе с кинематическим телом
+  body.setPosition({
+    x: position.x + moveDelta.x,
+    y: position.y + moveDelta.y
+  });
+};
+
+/**
+ * Проверка, может ли тело служить опорой спящему телу
+ * Опора не должна двигаться: статическое или спящее тело
+ *
+ * @param   {Body}     groundBody  Тело опоры
+ * @return  {Boolean}              Результат
+ */
+const isSleepSupport = groundBody => {
+  if(!groundBody) return false;
+
+  return groundBody.type === BODIES_TYPES.STATIC || groundBody.isSleeping;
+};
+
+/**
+ * Обновление позиции тела и проверка нахождения тела за границами мира
+ *
+ * @param  {Body}    body            Экземпляр класса тела
+ * @param  {Number}  delta           Время с между текущим
+ *                                   и предыдущим кадрами
+ * @param  {Array}   bodiesToRemove  Список тел для удаления
+ *                                   из физического мира
+ * @param  {Object}  worldBounds     Границы физического мира
+ * @param  {Array}   sensors         Список сенсоров текущего кадра
+ */
+const updateBody = (body, delta, bodiesToRemove, worldBounds, sensors) => {
+  // Тела из списка удаления не нужно обновлять
+  if(bodiesToRemove.indexOf(body) > -1) return;
+
+  // Сохранение позиции тела до обновления для интерполяции
+  body.prevPosition.x = body.position.x;
+  body.prevPosition.y = body.position.y;
+
+  // Перенос тела, стоящего на кинематическом теле
+  carryBody(body);
+
+  // Обновление состояния тела
+  body.update(delta, bodiesToRemove);
+
+  // Проверка на нахождение позиции объекта за границами мира
+  if(isOutOfRegion(body.position, worldBounds)) {
+    // Добавление в список удаления
+    bodiesToRemove.push(body);
+    // Добавление в список сенсоров
+    sensors.push({
+      isOutWorld: true,
+      body: body
+    });
+  }
+};
+
+/**
+ * Обновление позиций тел, проверка нахождения тел за границами мира
+ * и добавление их в список сенсоров
+ *
+ * @param  {Number}  delta              Время с между текущим
+ *                                      и предыдущим кадрами
+ * @param  {Array}   bodies             Список тел физического мира
+ * @param  {Array}   bodiesToRemove     Список тел для удаления
+ *                                      из физического мира
+ * @param  {Object}  worldBounds        Границы физического мира
+ * @param  {Object}  worldBounds.min    Объект с координатами минимума
+ * @param  {Number}  worldBounds.min.x  Координата минимума по оси X
+ * @param  {Number}  worldBounds.min.y  Координата минимума по оси Y
+ * @param  {Object}  worldBounds.max    Объект с координатами максимума
+ * @param  {Number}  worldBounds.max.x  Координата максимума по оси X
+ * @param  {Number}  worldBounds.max.y  Координата максимума по оси Y
+ * @param  {Array}   sensors            Список сенсоров текущего кадра
+ */
+const updatePositions = (
+  delta, bodies, bodiesToRemove, worldBounds, sensors
+) => {
+  // Кинематические тела обновляются первыми,
+  // чтобы перенести стоящие на них тела на текущем шаге
+  for(let i = 0, l = bodies.length; i < l; i++) {
+    const body = bodies[i];
+    if(body.type !== BODIES_TYPES.KINEMATIC) continue;
+
+    updateBody(body, delta, bodiesToRemove, worldBounds, sensors);
+  }
+
+  // Проходим по остальным телам
+  for(let i = 0, l = bodies.length; i < l; i++) {
+    const body = bodies[i];
+
+    // Статические тела не нужно обновлять
+    if(body.type === BODIES_TYPES.STATIC) continue;
+    // Кинематические тела уже обновлены
+    if(body.type === BODIES_TYPES.KINEMATIC) continue;
+
+    // Спящее тело не обновляется, пока у него есть неподвижная опора
+    if(body.isSleeping) {
+      if(isSleepSupport(body.groundBody)) continue;
+      body.wake();
+    }
+
+    updateBody(body, delta, bodiesToRemove, worldBounds, sensors);
+  }
+};
+
+/**
+ * Допустимое проникновение тела в новых размерах в форму другого тела,
+ * возникающее из-за погрешности вычислений при корректировке позиции
+ *
+ * @type  {Number}
+ */
+const SIZE_BLOCK_TOLERANCE = 0.000001;
+
+/**
+ * Получение формы тела в новых размерах для проверки пересечений
+ *
+ * @param   {Body}    body    Тело, изменяющее размеры
+ * @param   {Object}  bounds  Обрамляющий прямоугольник в новых размерах
+ * @return  {Object}          Объект с обрамляющим прямоугольником (bounds),
+ *                            радиусом (radius) и вершинами (vertices)
+ */
+const getResizedShape = (body, bounds) => {
+  const width = bounds.max.x - bounds.min.x;
+  const height = bounds.max.y - bounds.min.y;
+  const center = getBoundsCenter({ bounds: bounds });
+  const normalVertices = body.normalVertices;
+
+  return {
+    bounds: bounds,
+    radius: body.radius > 0 ? Math.min(width, height) / 2 : 0,
+    vertices: normalVertices
+      ? normalVertices.map(vertex => ({
+        x: center.x + vertex.x * width / body.size.width,
+        y: center.y + vertex.y * height / body.size.height
+      }))
+      : null
+  };
+};
+
+/**
+ * Проверка, блокирует ли тело увеличение размеров другого тела
+ * Пересечение проверяется по форме тел: наклонной стороне,
+ * кругу или многоугольнику
+ *
+ * @param   {Body}     body     Тело, изменяющее размеры
+ * @param   {Body}     blocker  Тело для проверки
+ * @param   {Object}   bounds   Обрамляющий прямоугольник в новых размерах
+ * @return  {Boolean}           Результат
+ */
+const isSizeBlocker = (body, blocker, bounds) => {
+  if(blocker === body || blocker.type === BODIES_TYPES.BULLET) return false;
+  // Сенсоры, зоны лазания и односторонние тела не мешают
+  if(blocker.isSensor || blocker.climbable || blocker.oneWay) return false;
+  if(!canCollide(body, blocker)) return false;
+
+  // Касание сторонами не считается пересечением
+  const blockerBounds = blocker.bounds;
+  if(bounds.min.x >= blockerBounds.max.x ||
+     bounds.max.x <= blockerBounds.min.x ||
+     bounds.min.y >= blockerBounds.max.y ||
+     bounds.max.y <= blockerBounds.min.y) return false;
 
-  // Если полусумма меньше полусуммы текущего результата
-  if(halfSumm < result.halfSumm) {
-    // Установка значений по осям
-    result.point[inputAxis] = input;
-    result.point[outputAxis] = output;
-    // Установка полусуммы
-    result.halfSumm = halfSumm;
-    // Установка объекта столкновения с телом пули
-    result.target = target;
+  // Круглые и многоугольные тела проверяются по глубине контакта
+  if(hasShape(body) || hasShape(blocker)) {
+    const contact = getShapeContact(getResizedShape(body, bounds), blocker);
+    return contact !== null && contact.depth > SIZE_BLOCK_TOLERANCE;
+  }
+
+  // Тело пересекает наклонное тело, если опускается
+  // ниже наклонной стороны
+  if(blocker.slope) {
+    const surfaceY = blocker.getSurfaceTop(bounds.min.x, bounds.max.x);
+    return bounds.max.y - surfaceY > SIZE_BLOCK_TOLERANCE;
   }
+
+  return true;
 };
 
 /**
- * Обновление позиций тел, проверка нахождения тел за границами мира
- * и добавление их в список сенсоров
+ * Применение отложенных изменений размеров тел
+ * Изменение откладывается, пока тело в новых размерах пересекает тела,
+ * с которыми оно сталкивается, кроме пуль
  *
- * @param  {Number}  delta              Время с между текущим
- *                                      и предыдущим кадрами
- * @param  {Array}   bodies             Список тел физического мира
- * @param  {Array}   bodiesToRemove     Список тел для удаления
- *                                      из физического мира
- * @param  {Object}  worldBounds        Границы физического мира
- * @param  {Object}  worldBounds.min    Объект с координатами минимума
- * @param  {Number}  worldBounds.min.x  Координата минимума по оси X
- * @param  {Number}  worldBounds.min.y  Координата минимума по оси Y
- * @param  {Object}  worldBounds.max    Объект с координатами максимума
- * @param  {Number}  worldBounds.max.x  Координата максимума по оси X
- * @param  {Number}  worldBounds.max.y  Координата максимума по оси Y
- * @param  {Array}   sensors            Список сенсоров текущего кадра
+ * @param  {Array}   bodies      Список тел физического мира
+ * @param  {Object}  broadphase  Хранилище пар для расчета столкновений
  */
-const updatePositions = (
-  delta, bodies, bodiesToRemove, worldBounds, sensors
-) => {
-  // Проходим по всем телам
+const applyPendingSizes = (bodies, broadphase) => {
   for(let i = 0, l = bodies.length; i < l; i++) {
     const body = bodies[i];
+    if(!body.pendingSize) continue;
 
-    // Статические тела не нужно обновлять
-    if(body.type === BODIES_TYPES.STATIC) continue;
-    // Тела из списка удаления не нужно обновлять
-    if(bodiesToRemove.indexOf(body) > -1) continue;
-
-    // Обновление состояния тела
-    body.update(delta, bodiesToRemove);
+    const bounds = getResizedBounds(body, body.pendingSize);
+    const candidates = broadphase.queryBounds(bounds);
 
-    // Проверка на нахождение позиции объекта за границами мира
-    if(isOutOfRegion(body.position, worldBounds)) {
-      // Добавление в список удаления
-      bodiesToRemove.push(body);
-      // Добавление в список сенсоров
-      sensors.push({
-        isOutWorld: true,
-        body: body
-      });
+    let isBlocked = false;
+    for(let j = 0, jl = candidates.length; j < jl; j++) {
+      if(isSizeBlocker(body, candidates[j], bounds)) {
+        isBlocked = true;
+        break;
+      }
     }
+
+    if(isBlocked) body.isSizeBlocked = true;
+    else body.applySize(body.pendingSize);
   }
 };
 
 /**
  * Удаление из физического мира тел из списка для удаления
  *
- * @param  {Array}  bodies          Список тел физического мира
- * @param  {Array}  bodiesToRemove  Список тел для удаления из физического мира
- * @param  {Grid}   broadphase      Экземпляр класса сетки
+ * @param  {Array}   bodies          Список тел физического мира
+ * @param  {Array}   bodiesToRemove  Список тел для удаления
+ *                                   из физического мира
+ * @param  {Object}  broadphase      Хранилище пар для расчета столкновений
+ * @param  {Array}   removedBodies   Список удаленных на текущем кадре тел
  */
-const removeBodies = (bodies, bodiesToRemove, broadphase) => {
+const removeBodies = (bodies, bodiesToRemove, broadphase, removedBodies) => {
   // Удаление тел из списка для удаления
   for(let i = 0, l = bodiesToRemove.length; i < l; i++) {
     // Удаление тела из сетки
@@ -174,12 +1101,31 @@ const removeBodies = (bodies, bodiesToRemove, broadphase) => {
 
     // Удаление тела из массива тел физического мира
     const index = bodies.indexOf(bodiesToRemove[i]);
-    if(index > -1) bodies.splice(index, 1);
+    if(index > -1) {
+      bodies.splice(index, 1);
+      // Добавление в список удаленных тел
+      removedBodies.push(bodiesToRemove[i]);
+    }
   }
 
   // Очистка массива тел для удаления
   // В том числе очистка в свойстве экземпляра мира
   bodiesToRemove.length = 0;
+
+  if(removedBodies.length === 0) return;
+
+  // Сброс ссылок на удаленные тела у стоящих на них тел,
+  // чтобы они не переносились вместе с удаленным телом,
+  // и у пуль, наводящихся на них
+  for(let i = 0, l = bodies.length; i < l; i++) {
+    const body = bodies[i];
+    if(body.groundBody && removedBodies.indexOf(body.groundBody) > -1) {
+      body.groundBody = null;
+    }
+    if(body.targetBody && removedBodies.indexOf(body.targetBody) > -1) {
+      body.targetBody = null;
+    }
+  }
 };
 
 /**
@@ -205,6 +1151,12 @@ const detectCollisions = (
     const bodyA = pair.bodyA;
     const bodyB = pair.bodyB;
 
+    // Пары из спящих и статических тел не проверяются,
+    // так как тела не перемещаются
+    if((bodyA.isSleeping || bodyA.type === BODIES_TYPES.STATIC) &&
+       (bodyB.isSleeping || bodyB.type === BODIES_TYPES.STATIC) &&
+       !bodyA.isSensor && !bodyB.isSensor) continue;
+
     // Получение прямоугольника пересечения
     const intersection = getIntersection(bodyA.bounds, bodyB.bounds);
 
@@ -212,6 +1164,27 @@ const detectCollisions = (
     // отрицательные, ничего не делаем
     if(intersection.width < 0 || intersection.height < 0) continue;
 
+    // Пересечение с круглым или многоугольным телом
+    // уточняется по форме тел
+    // Для тел пуль пересечение проверяется по пути пули
+    let contact = null;
+    if((hasShape(bodyA) || hasShape(bodyB)) &&
+       bodyA.type !== BODIES_TYPES.BULLET &&
+       bodyB.type !== BODIES_TYPES.BULLET) {
+      contact = getShapeContact(bodyA, bodyB);
+      if(!contact) continue;
+    }
+
+    // Спящее тело просыпается при пересечении с движущимся телом,
+    // касание сторонами не будит тело
+    const isOverlap = contact
+      ? contact.depth > 0
+      : intersection.width > 0 && intersection.height > 0;
+    if(isOverlap && !bodyA.isSensor && !bodyB.isSensor) {
+      if(bodyA.isSleeping) bodyA.wake();
+      if(bodyB.isSleeping) bodyB.wake();
+    }
+
     // Если одно из тел сенсор, добавляем в список сенсоров
     if(bodyA.isSensor || bodyB.isSensor) {
       sensors.push({
@@ -229,6 +1202,9 @@ const detectCollisions = (
       const bodyBullet = bodyA.type === BODIES_TYPES.BULLET ? bodyA : bodyB;
       const bodyHitted = bodyA.type === BODIES_TYPES.BULLET ? bodyB : bodyA;
 
+      // Пули проходят сквозь зоны лазания
+      if(bodyHitted.climbable) continue;
+
       // Если пули нет в списке попаданий пуль, создаем
       if(!bulletsTargets[bodyBullet.id]) {
         bulletsTargets[bodyBullet.id] = {
@@ -257,88 +1233,494 @@ const detectCollisions = (
     const bullet = bulletsTargets[bulletId].bullet;
     const bulletTargets = bulletsTargets[bulletId].targets;
 
-    // Объект для хранения данных о первом пересечении
-    // Первое пересечение - максимально близкое к предыдущей позиции тела пули
-    const hitResult = {
-      // Минимальная (наиболле близкая к предыдущей позиции тела пули)
-      // точка пересечения
-      point: { x: 0, y: 0 },
-      // Полусумма сторон прямоугольника (сумма катетов)
-      // 1) проще расчитывать, чем длинну диагонали (гипотенузы)
-      // 2) значение расстояния до точки пересечения
-      //    в дальнейшем не используется
-      halfSumm: Infinity,
-      // Цель попадания
-      target: null
-    };
+    // Список попаданий пули на текущем шаге
+    const hits = [];
 
     // Проходим по телам столкновения с пулей
     for(let i = 0, l = bulletTargets.length; i < l; i++) {
       const target = bulletTargets[i];
 
-      // Проверка пересечения с минимальным значением по оси X
-      handlingLineIntersect(
-        target.bounds.min.x, bullet.equationCoefs.ab, bullet.equationCoefs.cb,
-        target.bounds.min.y, target.bounds.max.y,
-        bullet.prevPosition.x, bullet.prevPosition.y,
-        'x', 'y',
-        target, hitResult
-      );
+      // Пробитые тела не поражаются повторно
+      if(bullet.hitBodies.indexOf(target.id) > -1) continue;
 
-      // Проверка пересечения с максимальным значением по оси X
-      handlingLineIntersect(
-        target.bounds.max.x, bullet.equationCoefs.ab, bullet.equationCoefs.cb,
-        target.bounds.min.y, target.bounds.max.y,
-        bullet.prevPosition.x, bullet.prevPosition.y,
-        'x', 'y',
-        target, hitResult
-      );
+      const hitResult = getBulletHit(bullet, target);
+      if(hitResult) hits.push(hitResult);
+    }
 
-      // Проверка пересечения с минимальным значением по оси Y
-      handlingLineIntersect(
-        target.bounds.min.y, bullet.equationCoefs.ba, bullet.equationCoefs.ca,
-        target.bounds.min.x, target.bounds.max.x,
-        bullet.prevPosition.y, bullet.prevPosition.x,
-        'y', 'x',
-        target, hitResult
-      );
+    // Попадания упорядочиваются по расстоянию от предыдущей позиции пули
+    hits.sort((a, b) => a.halfSumm - b.halfSumm);
 
-      // Проверка пересечения с максимальным значением по оси Y
-      handlingLineIntersect(
-        target.bounds.max.y, bullet.equationCoefs.ba, bullet.equationCoefs.ca,
-        target.bounds.min.x, target.bounds.max.x,
-        bullet.prevPosition.y, bullet.prevPosition.x,
-        'y', 'x',
-        target, hitResult
-      );
+    for(let i = 0, l = hits.length; i < l; i++) {
+      const target = hits[i].target;
+
+      // Пуля рикошетит от статических и кинематических тел,
+      // вместо попадания вызывается только рикошет,
+      // остальные попадания на текущем шаге отменяются
+      if(isImmovable(target) && bullet.canRicochet(hits[i].normal)) {
+        bullet.ricochet(hits[i].point, hits[i].normal);
+
+        sensors.push({
+          isRicochet: true,
+          bodyBullet: bullet,
+          bodyHitted: target,
+          point: hits[i].point,
+          normal: hits[i].normal
+        });
+        break;
+      }
+
+      // Добавляем в список сенсоров
+      sensors.push({
+        isHit: true,
+        bodyBullet: bullet,
+        bodyHitted: target,
+        point: hits[i].point
+      });
+
+      // Если пуля попала в статический или кинематический объект
+      // или больше не может пробивать тела,
+      // добавляем пулю в список для удаления
+      if(isImmovable(target) || bullet.pierceLeft === 0) {
+        bodiesToRemove.push(bullet);
+        break;
+      }
+
+      // Пуля пробивает тело
+      if(bullet.pierceLeft !== true) bullet.pierceLeft--;
+      bullet.hitBodies.push(target.id);
     }
+  }
+};
+
+/**
+ * Допустимое проникновение тела в одностороннее тело на предыдущем шаге,
+ * при котором тело еще считается находящимся с непроходимой стороны
+ *
+ * @type  {Number}
+ */
+const ONE_WAY_TOLERANCE = 1;
+
+/**
+ * Расчет вектора корректировки позиции тела при столкновении
+ * с односторонним телом
+ * Тело останавливается, только если на предыдущем шаге оно находилось
+ * с непроходимой стороны одностороннего тела
+ *
+ * @param   {Body}    resolvedBody  Тело для восстановления позиции
+ * @param   {Body}    oneWayBody    Одностороннее тело
+ * @return  {Object}                Вектор корректировки или null,
+ *                                  если тело проходит сквозь
+ */
+const getOneWayCorrection = (resolvedBody, oneWayBody) => {
+  // Тело игрока, спрыгивающее или лазающее сквозь односторонние тела,
+  // проходит сквозь их верхнюю сторону
+  const isDropping = resolvedBody.dropThroughTimer > 0 ||
+                     resolvedBody.isClimbing;
+
+  const oneWay = oneWayBody.oneWay;
+  const bounds = resolvedBody.bounds;
+  const boundsOneWay = oneWayBody.bounds;
+  const normalBounds = resolvedBody.normalBounds;
+  const prevPosition = resolvedBody.prevPosition;
+  // Перемещение одностороннего тела на текущем шаге
+  const moveDelta = oneWayBody.moveDelta || { x: 0, y: 0 };
+
+  // Координаты тел на предыдущем шаге
+  const prevMinX = prevPosition.x + normalBounds.min.x;
+  const prevMaxX = prevPosition.x + normalBounds.max.x;
+  const prevMinY = prevPosition.y + normalBounds.min.y;
+  const prevMaxY = prevPosition.y + normalBounds.max.y;
+  const prevOneWayMinX = boundsOneWay.min.x - moveDelta.x;
+  const prevOneWayMaxX = boundsOneWay.max.x - moveDelta.x;
+  const prevOneWayMinY = boundsOneWay.min.y - moveDelta.y;
+  const prevOneWayMaxY = boundsOneWay.max.y - moveDelta.y;
+
+  // Возможные корректировки по непроходимым сторонам
+  const corrections = [];
+
+  // Тело было над односторонним телом и движется вниз
+  if(!oneWay.down && !isDropping &&
+     prevMaxY <= prevOneWayMinY + ONE_WAY_TOLERANCE) {
+    corrections.push({ x: 0, y: boundsOneWay.min.y - bounds.max.y });
+  }
+  // Тело было под односторонним телом и движется вверх
+  if(!oneWay.up && prevMinY >= prevOneWayMaxY - ONE_WAY_TOLERANCE) {
+    corrections.push({ x: 0, y: boundsOneWay.max.y - bounds.min.y });
+  }
+  // Тело было слева от одностороннего тела и движется вправо
+  if(!oneWay.right && prevMaxX <= prevOneWayMinX + ONE_WAY_TOLERANCE) {
+    corrections.push({ x: boundsOneWay.min.x - bounds.max.x, y: 0 });
+  }
+  // Тело было справа от одностороннего тела и движется влево
+  if(!oneWay.left && prevMinX >= prevOneWayMaxX - ONE_WAY_TOLERANCE) {
+    corrections.push({ x: boundsOneWay.max.x - bounds.min.x, y: 0 });
+  }
+
+  if(corrections.length === 0) return null;
+
+  // Используется корректировка с наименьшим смещением
+  let result = corrections[0];
+  for(let i = 1, l = corrections.length; i < l; i++) {
+    const correction = corrections[i];
+    if(Math.abs(correction.x + correction.y) <
+       Math.abs(result.x + result.y)) result = correction;
+  }
+
+  return result;
+};
+
+/**
+ * Проверка, находится ли центр тела над наклонной стороной наклонного тела
+ * Учитывается и позиция до последнего шага обновления, чтобы быстро
+ * движущееся тело не проскакивало наклонную сторону за один шаг
+ *
+ * @param   {Body}     body       Экземпляр класса тела
+ * @param   {Body}     slopeBody  Наклонное тело
+ * @return  {Boolean}             Результат
+ */
+const isAboveSlope = (body, slopeBody) => {
+  const normalBounds = body.normalBounds;
+  const positions = [ body.position, body.prevPosition ];
+
+  for(let i = 0; i < 2; i++) {
+    const position = positions[i];
+    const surfaceY = slopeBody.getSurfaceTop(
+      position.x + normalBounds.min.x, position.x + normalBounds.max.x
+    );
+
+    if(position.y < surfaceY) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Применение вектора корректировки к телу
+ *
+ * @param  {Object}  collision     Объект коллизии
+ * @param  {Body}    resolvedBody  Тело для восстановления позиции
+ * @param  {Body}    staticBody    Статическое или кинематическое тело
+ * @param  {Object}  correction    Вектор корректировки позиции
+ */
+const applyCorrection = (collision, resolvedBody, staticBody, correction) => {
+  // Сохранение информации о коррекции для события столкновения
+  collision.resolvedBody = resolvedBody;
+  collision.correction = correction;
 
-    // Если не указана цель, значит столкновений нет
-    if(hitResult.target === null) continue;
+  // Восстановление позиций
+  resolvedBody.setPosition({
+    x: resolvedBody.position.x + correction.x,
+    y: resolvedBody.position.y + correction.y
+  });
+  // Обновление тела с учетом вектора корректировки
+  resolvedBody.updateCollision(correction, staticBody);
 
-    // Если у пули нет длинны жизни или она попала в статический объект
-    // добавляем пулю в список для удаления
-    if(bullet.longOfLife === false ||
-       hitResult.target.type === BODIES_TYPES.STATIC) {
-      bodiesToRemove.push(bullet);
+  // Смещение обрамляющего прямоугольника, чтобы следующие коллизии тела
+  // на текущем шаге учитывали уже примененную корректировку
+  const bounds = resolvedBody.bounds;
+  bounds.min.x += correction.x;
+  bounds.min.y += correction.y;
+  bounds.max.x += correction.x;
+  bounds.max.y += correction.y;
+
+  // Смещение вершин многоугольного тела
+  if(resolvedBody.normalVertices) {
+    const vertices = resolvedBody.vertices;
+    for(let i = 0, l = vertices.length; i < l; i++) {
+      vertices[i].x += correction.x;
+      vertices[i].y += correction.y;
     }
+  }
+};
 
-    // Добавляем в список сенсоров
-    sensors.push({
-      isHit: true,
-      bodyBullet: bullet,
-      bodyHitted: hitResult.target,
-      point: hitResult.point
+/**
+ * Проверка, приземлилось ли тело на другое подвижное тело
+ * Тело приземлилось, если на предыдущем шаге оно находилось
+ * над другим телом
+ *
+ * @param   {Body}     body       Экземпляр класса тела
+ * @param   {Body}     otherBody  Тело, на которое приземляется тело
+ * @return  {Boolean}             Результат
+ */
+const isLandedOn = (body, otherBody) => {
+  const prevMaxY = body.prevPosition.y + body.normalBounds.max.y;
+  const prevOtherMinY = otherBody.prevPosition.y + otherBody.normalBounds.min.y;
+
+  return prevMaxY <= prevOtherMinY + GROUND_CONTACT_TOLERANCE;
+};
+
+/**
+ * Проверка, упирается ли тело при смещении по оси в одно из тел,
+ * которых оно касается на текущем шаге
+ *
+ * @param   {Body}     body      Экземпляр класса тела
+ * @param   {String}   axis      Ось смещения
+ * @param   {Number}   dir       Направление [-1, 1] смещения
+ * @param   {Object}   contacts  Списки тел, которых касаются тела,
+ *                               по идентификаторам тел
+ * @return  {Boolean}            Результат
+ */
+const isBlocked = (body, axis, dir, contacts) => {
+  const contactBodies = contacts[body.id];
+  if(!contactBodies) return false;
+
+  const otherAxis = axis === 'x' ? 'y' : 'x';
+  const bounds = body.bounds;
+
+  for(let i = 0, l = contactBodies.length; i < l; i++) {
+    const blockerBounds = contactBodies[i].bounds;
+
+    // Тело касания должно находиться со стороны смещения
+    if(dir > 0 && blockerBounds.min[axis] < body.position[axis]) continue;
+    if(dir < 0 && blockerBounds.max[axis] > body.position[axis]) continue;
+
+    // и перекрывать тело по другой оси
+    // (тело под телом не мешает смещению по оси X)
+    const min = Math.max(bounds.min[otherAxis], blockerBounds.min[otherAxis]);
+    const max = Math.min(bounds.max[otherAxis], blockerBounds.max[otherAxis]);
+    if(max > min) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Добавление тела в список тел, которых касается тело
+ *
+ * @param  {Object}  contacts     Списки тел, которых касаются тела,
+ *                                по идентификаторам тел
+ * @param  {Body}    body         Экземпляр класса тела
+ * @param  {Body}    contactBody  Тело касания
+ */
+const addContact = (contacts, body, contactBody) => {
+  if(!contacts[body.id]) contacts[body.id] = [];
+  contacts[body.id].push(contactBody);
+};
+
+/**
+ * Расчет доли смещения первого тела при расталкивании двух подвижных тел
+ * Тела смещаются обратно пропорционально массам, тело, упирающееся
+ * в другое тело, не смещается
+ * Тело, смещаемое к упирающемуся телу, тоже упирается в него
+ *
+ * @param   {Body}    bodyA     Первое тело
+ * @param   {Body}    bodyB     Второе тело
+ * @param   {String}  axis      Ось смещения
+ * @param   {Number}  dirA      Направление [-1, 1] смещения первого тела
+ * @param   {Object}  contacts  Списки тел, которых касаются тела,
+ *                              по идентификаторам тел
+ * @return  {Number}            Доля смещения первого тела
+ */
+const getDynamicShare = (bodyA, bodyB, axis, dirA, contacts) => {
+  const isBlockedA = isBlocked(bodyA, axis, dirA, contacts);
+  const isBlockedB = isBlocked(bodyB, axis, -dirA, contacts);
+
+  if(isBlockedA) addContact(contacts, bodyB, bodyA);
+  if(isBlockedB) addContact(contacts, bodyA, bodyB);
+
+  if(isBlockedA && !isBlockedB) return 0;
+  if(isBlockedB && !isBlockedA) return 1;
+  return bodyB.mass / (bodyA.mass + bodyB.mass);
+};
+
+/**
+ * Выталкивание тела, приземлившегося на другое подвижное тело
+ * Приземление сохраняется для события, если тело еще не стояло
+ * на этом теле
+ *
+ * @param  {Object}  collision   Объект коллизии
+ * @param  {Body}    upperBody   Приземлившееся тело
+ * @param  {Body}    lowerBody   Тело, на которое приземлилось тело
+ * @param  {Object}  correction  Вектор корректировки приземлившегося тела
+ */
+const applyLanding = (collision, upperBody, lowerBody, correction) => {
+  if(upperBody.groundBody !== lowerBody) {
+    collision.landedBody = upperBody;
+    collision.groundBody = lowerBody;
+  }
+
+  applyCorrection(collision, upperBody, lowerBody, correction);
+};
+
+/**
+ * Расчет вектора корректировки позиции тела по контакту
+ * Тело игрока на пологой стороне выталкивается вверх,
+ * чтобы не соскальзывать, остальные тела - по нормали контакта
+ *
+ * @param   {Body}    body     Тело для восстановления позиции
+ * @param   {Object}  contact  Объект контакта с нормалью, направленной
+ *                             к телу (normal), и глубиной (depth)
+ * @return  {Object}           Вектор корректировки
+ */
+const getShapeCorrection = (body, contact) => {
+  const normal = contact.normal;
+
+  if(body.type === BODIES_TYPES.PLAYER &&
+     normal.y < 0 && -normal.y >= Math.abs(normal.x)) {
+    return {
+      x: 0,
+      y: contact.depth / normal.y
+    };
+  }
+
+  return {
+    x: normal.x * contact.depth,
+    y: normal.y * contact.depth
+  };
+};
+
+/**
+ * Коррекция позиций при столкновении двух подвижных тел,
+ * хотя бы одно из которых круглое или многоугольное
+ * Приземлившееся сверху тело выталкивается целиком, в остальных случаях
+ * тела расталкиваются по нормали контакта обратно пропорционально массам
+ *
+ * @param  {Object}  collision  Объект коллизии
+ * @param  {Object}  contacts   Списки тел, которых касаются тела,
+ *                              по идентификаторам тел
+ */
+const resolveDynamicShapeCollision = (collision, contacts) => {
+  const bodyA = collision.bodyA;
+  const bodyB = collision.bodyB;
+
+  // Касание не требует корректировки
+  const contact = getShapeContact(bodyA, bodyB);
+  if(!contact || contact.depth <= 0) return;
+
+  const normal = contact.normal;
+
+  // Тело, приземлившееся на другое тело, выталкивается вверх
+  // по нормали контакта
+  if(normal.y > 0 && isLandedOn(bodyA, bodyB)) {
+    applyLanding(collision, bodyA, bodyB, getShapeCorrection(bodyA, {
+      normal: { x: -normal.x, y: -normal.y },
+      depth: contact.depth
+    }));
+    return;
+  }
+  if(normal.y < 0 && isLandedOn(bodyB, bodyA)) {
+    applyLanding(collision, bodyB, bodyA, getShapeCorrection(bodyB, contact));
+    return;
+  }
+
+  // Ось, вдоль которой направлена нормаль, и направление смещения тела A
+  const axis = Math.abs(normal.x) >= Math.abs(normal.y) ? 'x' : 'y';
+  const dirA = normal[axis] > 0 ? -1 : 1;
+
+  // Доля смещения тела A
+  const shareA = getDynamicShare(bodyA, bodyB, axis, dirA, contacts);
+  const depthA = contact.depth * shareA;
+  const depthB = contact.depth * (1 - shareA);
+
+  // Корректировка тела, смещенного сильнее, применяется последней,
+  // чтобы сохраниться в объекте коллизии для события
+  const corrections = [
+    [ bodyA, bodyB, { x: -normal.x * depthA, y: -normal.y * depthA } ],
+    [ bodyB, bodyA, { x: normal.x * depthB, y: normal.y * depthB } ]
+  ];
+  if(shareA >= 0.5) corrections.reverse();
+
+  for(let i = 0; i < 2; i++) {
+    const body = corrections[i][0];
+    const otherBody = corrections[i][1];
+    const correction = corrections[i][2];
+    if(correction.x === 0 && correction.y === 0) continue;
+
+    applyCorrection(collision, body, otherBody, correction);
+  }
+};
+
+/**
+ * Коррекция позиций при столкновении двух подвижных тел
+ * (игроков и упругих тел)
+ * Приземлившееся сверху тело выталкивается вверх целиком и стоит
+ * на другом теле, в остальных случаях тела расталкиваются
+ * по оси наименьшего пересечения обратно пропорционально массам
+ *
+ * @param  {Object}  collision  Объект коллизии
+ * @param  {Object}  contacts   Списки тел, которых касаются тела,
+ *                              по идентификаторам тел
+ */
+const resolveDynamicCollision = (collision, contacts) => {
+  const bodyA = collision.bodyA;
+  const bodyB = collision.bodyB;
+
+  collision.resolvedBody = null;
+  collision.correction = null;
+
+  if(hasShape(bodyA) || hasShape(bodyB)) {
+    resolveDynamicShapeCollision(collision, contacts);
+    return;
+  }
+
+  // Получаем пересечение с учетом корректировок,
+  // уже примененных к телам на текущем шаге
+  // Касание сторонами не требует корректировки
+  const intersection = getIntersection(bodyA.bounds, bodyB.bounds);
+  if(intersection.width <= 0 || intersection.height <= 0) return;
+
+  // Тело, приземлившееся на другое тело
+  let upperBody = null;
+  let lowerBody = null;
+  if(isLandedOn(bodyA, bodyB)) {
+    upperBody = bodyA;
+    lowerBody = bodyB;
+  } else if(isLandedOn(bodyB, bodyA)) {
+    upperBody = bodyB;
+    lowerBody = bodyA;
+  }
+
+  if(upperBody) {
+    applyLanding(collision, upperBody, lowerBody, {
+      x: 0,
+      y: lowerBody.bounds.min.y - upperBody.bounds.max.y
     });
+    return;
+  }
+
+  // Ось наименьшего пересечения и направление смещения тела A
+  const axis = intersection.width < intersection.height ? 'x' : 'y';
+  const depth = axis === 'x' ? intersection.width : intersection.height;
+  const dirA = bodyA.position[axis] < bodyB.position[axis] ? -1 : 1;
+
+  // Доля смещения тела A
+  const shareA = getDynamicShare(bodyA, bodyB, axis, dirA, contacts);
+
+  const correctionA = { x: 0, y: 0 };
+  const correctionB = { x: 0, y: 0 };
+  correctionA[axis] = dirA * depth * shareA;
+  correctionB[axis] = -dirA * depth * (1 - shareA);
+
+  // Корректировка тела, смещенного сильнее, применяется последней,
+  // чтобы сохраниться в объекте коллизии для события
+  const corrections = shareA < 0.5
+    ? [ [ bodyA, bodyB, correctionA ], [ bodyB, bodyA, correctionB ] ]
+    : [ [ bodyB, bodyA, correctionB ], [ bodyA, bodyB, correctionA ] ];
+
+  for(let i = 0; i < 2; i++) {
+    const body = corrections[i][0];
+    const otherBody = corrections[i][1];
+    const correction = corrections[i][2];
+    if(correction[axis] === 0) continue;
+
+    applyCorrection(collision, body, otherBody, correction);
   }
 };
 
 /**
  * Коррекция позиция объектов в зависимости от коллизий
+ * Столкновения двух подвижных тел корректируются после остальных,
+ * чтобы учитывать упирание тел в статические и кинематические тела
  *
  * @param  {Array}  collisions  Список коллизий текущего кадра
  */
 const correctionPositions = collisions => {
+  // Столкновения двух подвижных тел
+  const dynamicCollisions = [];
+  // Списки статических и кинематических тел, которых касаются
+  // подвижные тела, по идентификаторам подвижных тел
+  const contacts = {};
+
   // Проходим по все коллизиям
   for(let i = 0, l = collisions.length; i < l; i++) {
     const collision = collisions[i];
@@ -347,9 +1729,24 @@ const correctionPositions = collisions => {
     const bodyA = collision.bodyA;
     const bodyB = collision.bodyB;
 
+    // Столкновение двух подвижных тел (разрешено фильтрами столкновений)
+    // корректируется после остальных
+    if(!isImmovable(bodyA) && !isImmovable(bodyB)) {
+      dynamicCollisions.push(collision);
+      continue;
+    }
+
+    // Столкновение двух неподвижных тел (разрешено фильтрами
+    // столкновений) только вызывает событие, позиции не корректируются
+    if(isImmovable(bodyA) && isImmovable(bodyB)) {
+      collision.resolvedBody = null;
+      collision.correction = null;
+      continue;
+    }
+
     // В восстановление позиций попадают такие пары тел:
-    // - игрок и статическое тело
-    // - упругое тело и статическое тело
+    // - игрок и статическое или кинематическое тело
+    // - упругое тело и статическое или кинематическое тело
     // В переменную resolvedBody записываем тело игрока или упругое тело
     let resolvedBody;
     let staticBody;
@@ -362,10 +1759,94 @@ const correctionPositions = collisions => {
       staticBody = bodyA;
     }
 
-    // Получаем пересечение
+    // Зона лазания не останавливает тела,
+    // тело игрока запоминает ее для лазания
+    if(staticBody.climbable) {
+      if(resolvedBody.type === BODIES_TYPES.PLAYER) {
+        resolvedBody.climbBody = staticBody;
+      }
+
+      collision.resolvedBody = null;
+      collision.correction = null;
+      continue;
+    }
+
+    // Одностороннее тело останавливает тело только
+    // с непроходимых сторон
+    if(staticBody.oneWay) {
+      const oneWayCorrection = getOneWayCorrection(resolvedBody, staticBody);
+
+      if(oneWayCorrection) {
+        applyCorrection(collision, resolvedBody, staticBody, oneWayCorrection);
+      } else {
+        collision.resolvedBody = null;
+        collision.correction = null;
+      }
+
+      continue;
+    }
+
+    // Столкновение с участием круглого или многоугольного тела
+    // корректируется по нормали контакта, в том числе
+    // с наклонной стороной наклонного тела
+    if(hasShape(resolvedBody) || hasShape(staticBody)) {
+      // Тело касается статического или кинематического тела
+      addContact(contacts, resolvedBody, staticBody);
+
+      const contact = getShapeContact(staticBody, resolvedBody);
+      if(!contact) {
+        collision.resolvedBody = null;
+        collision.correction = null;
+        continue;
+      }
+
+      applyCorrection(
+        collision, resolvedBody, staticBody, getShapeCorrection(
+          resolvedBody, contact
+        )
+      );
+      continue;
+    }
+
+    // Тело над наклонной стороной наклонного тела
+    // выталкивается на наклонную сторону
+    if(staticBody.slope && isAboveSlope(resolvedBody, staticBody)) {
+      const surfaceY = staticBody.getSurfaceTop(
+        resolvedBody.bounds.min.x, resolvedBody.bounds.max.x
+      );
+      const slopeCorrection = {
+        x: 0,
+        y: surfaceY - resolvedBody.bounds.max.y
+      };
+
+      // Тело не достает до наклонной стороны
+      if(slopeCorrection.y >= 0) {
+        collision.resolvedBody = null;
+        collision.correction = null;
+        continue;
+      }
+
+      applyCorrection(collision, resolvedBody, staticBody, slopeCorrection);
+      continue;
+    }
+
+    // Тело касается статического или кинематического тела
+    addContact(contacts, resolvedBody, staticBody);
+
+    // Получаем пересечение с учетом корректировок,
+    // уже примененных к телу на текущем шаге
+    const intersection = getIntersection(
+      resolvedBody.bounds, staticBody.bounds
+    );
+    if(intersection.width < 0 || intersection.height < 0) {
+      collision.resolvedBody = null;
+      collision.correction = null;
+      continue;
+    }
+
     const correction = {
-      x: collision.intersection.width,
-      y: collision.intersection.height
+      x: intersection.width,
+      y: intersection.height
     };
 
     // Свойство необходимости применения стандартного
@@ -395,17 +1876,6 @@ const correctionPositions = collisions => {
     // Если есть пересечение по оси Y
     // и тело для восстановления позиции находится над статическим телом
     if(correction.y !== 0 && resolvedBody.position.y < staticBody.position.y) {
-      // Если тело для восстановления - тело игрока
-      // и тело для восстановления движется вверх
-      // и тело для восстановления не на земле
-      if(resolvedBody.type === BODIES_TYPES.PLAYER &&
-         resolvedBody.moveDirectionY === -1 &&
-         !resolvedBody.isOnGround) {
-        // Не учитываем пересечение по оси Y
-        correction.y = 0;
-        needMinIntersectFix = false;
-      }
-
       // Если тело для восстановления движется вниз
       // и пересечение по оси Y меньше чем пересечение по оси X
       if(resolvedBody.moveDirectionY === 1 &&
@@ -431,13 +1901,13 @@ const correctionPositions = collisions => {
     if(resolvedBody.position.y < staticBody.position.y) correction.y *= -1;
     if(resolvedBody.position.x < staticBody.position.x) correction.x *= -1;
 
-    // Обновление тела с учетом вектора корректировки
-    resolvedBody.updateCollision(correction);
-    // Восстановление позиций
-    resolvedBody.setPosition({
-      x: resolvedBody.position.x + correction.x,
-      y: resolvedBody.position.y + correction.y
-    });
+    // Применение корректировки к телу
+    applyCorrection(collision, resolvedBody, staticBody, correction);
+  }
+
+  // Проходим по столкновениям подвижных тел
+  for(let i = 0, l = dynamicCollisions.length; i < l; i++) {
+    resolveDynamicCollision(dynamicCollisions[i], contacts);
   }
 };
 
@@ -451,23 +1921,102 @@ const afterUpdate = bodies => {
   for(let i = 0, l = bodies.length; i < l; i++) {
     const body = bodies[i];
 
+    // Если тело игрока не на земле, оно ни на чем не стоит,
+    // иначе оно не касается стены в воздухе
+    if(body.type === BODIES_TYPES.PLAYER) {
+      if(body.isOnGround) body.wallDir = 0;
+      else body.groundBody = null;
+    }
+
+    // Если тело игрока вышло из зоны лазания, лазание завершается
+    if(body.type === BODIES_TYPES.PLAYER &&
+       body.isClimbing && !body.climbBody) {
+      body.isClimbing = false;
+      body.climbDirY = 0;
+    }
+
     // Если под телом игрока нет платформ
     // и не установлены таймеры прыжка и падения
     if(body.type === BODIES_TYPES.PLAYER &&
        !body.isOnGround &&
+       !body.isClimbing &&
+       !body.isDashing &&
        body.jumpTimer === false &&
        body.fallTimer === false) {
       // Устанавливаем таймер падения и последнюю позицию на земле
       body.fallTimer = 0;
       body.lastGroundPositionY = body.position.y;
+      // Прыгнуть после схода с платформы можно еще некоторое время,
+      // удар о потолок или завершение рывка в воздухе его не дает
+      if(body.wasOnGround) body.coyoteTimer = body.coyoteTime;
+    }
+
+    // Сохранение нахождения на платформе для следующего шага
+    if(body.type === BODIES_TYPES.PLAYER) body.wasOnGround = body.isOnGround;
+  }
+};
+
+/**
+ * Засыпание тел, покоящихся на неподвижной опоре дольше времени
+ * засыпания, и добавление изменений состояния сна в список
+ *
+ * @param  {Array}   bodies        Список тел физического мира
+ * @param  {Number}  delta         Время с между текущим
+ *                                 и предыдущим кадрами
+ * @param  {Array}   sleepChanges  Список изменений состояния сна
+ *                                 текущего кадра
+ */
+const updateSleeping = (bodies, delta, sleepChanges) => {
+  for(let i = 0, l = bodies.length; i < l; i++) {
+    const body = bodies[i];
+    // Тело не может засыпать
+    if(!(body.sleepTime > 0)) continue;
+
+    // Пробуждение тела на текущем кадре или между кадрами
+    if(body.isAwakened) {
+      body.isAwakened = false;
+      sleepChanges.push({
+        body: body,
+        isSleeping: false
+      });
+    }
+
+    if(body.isSleeping) continue;
+
+    // Время покоя сбрасывается при движении или подвижной опоре
+    if(!body.isResting || !isSleepSupport(body.groundBody)) {
+      body.sleepTimer = 0;
+      continue;
     }
+
+    body.sleepTimer += delta;
+    if(body.sleepTimer < body.sleepTime) continue;
+
+    body.sleep();
+    sleepChanges.push({
+      body: body,
+      isSleeping: true
+    });
   }
 };
 
 export {
+  isOutOfRegion,
+  isImmovable,
+  getIntersection,
+  isBoundsOverlap,
+  intersectSegmentBounds,
+  intersectSegmentPolygon,
+  intersectSegmentCircle,
+  intersectSegmentBody,
+  isPointInPolygon,
+  getBoundsCenter,
+  getShapeContact,
   updatePositions,
   removeBodies,
+  applyPendingSizes,
   detectCollisions,
   correctionPositions,
-  afterUpdate
+  afterUpdate,
+  updateSleeping
 };
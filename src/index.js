@@ -10,4 +10,15 @@ const createWorld = options => {
   return new World(options);
 };
 
+/**
+ * Обертка для восстановления физического мира из сериализованного состояния
+ *
+ * @param   {Object}  data       Объект с состоянием физического мира
+ * @param   {Object}  [options]  Параметры восстановления физического мира
+ * @return  {World}              Экземпляр класса физического мира
+ */
+createWorld.fromJSON = (data, options) => {
+  return World.fromJSON(data, options);
+};
+
 export default createWorld;
@@ -0,0 +1,222 @@
+import {
+  BODIES_CATEGORIES
+} from './common';
+import {
+  isOutOfRegion,
+  getIntersection,
+  intersectSegmentBody,
+  isPointInPolygon,
+  getBoundsCenter,
+  getShapeContact
+} from './engine';
+
+/**
+ * Маска категорий тел для запросов по умолчанию
+ * Тела пуль не учитываются, так как их обрамляющий прямоугольник -
+ * пройденный за шаг отрезок, а не форма тела
+ *
+ * @type  {Number}
+ */
+const DEFAULT_QUERY_MASK = ~BODIES_CATEGORIES.BULLET;
+
+/**
+ * Проверка, должно ли тело учитываться в запросе
+ *
+ * @param   {Body}      body                    Экземпляр класса тела
+ * @param   {Object}    options                 Объект с параметрами запроса
+ * @param   {Number}    options.mask            Маска категорий тел
+ * @param   {Boolean}   options.includeSensors  Учитывать тела сенсоры
+ * @param   {Function}  options.filter          Функция фильтрации тел,
+ *                                              тело пропускается,
+ *                                              если она вернула false
+ * @return  {Boolean}                           Результат
+ */
+const isQueryable = (body, options) => {
+  const mask = options.mask !== undefined ? options.mask : DEFAULT_QUERY_MASK;
+
+  if((mask & body.category) === 0) return false;
+  if(body.isSensor && !options.includeSensors) return false;
+  if(options.filter && options.filter(body) === false) return false;
+
+  return true;
+};
+
+/**
+ * Приведение параметра фильтрации запроса к объекту с параметрами
+ *
+ * @param   {Function|Object}  [filter]  Функция фильтрации тел
+ *                                       или объект с параметрами запроса
+ * @return  {Object}                     Объект с параметрами запроса
+ */
+const getQueryOptions = filter => {
+  if(typeof filter === 'function') return { filter: filter };
+  return filter || {};
+};
+
+/**
+ * Поиск тел, пересекающих прямоугольник
+ *
+ * @param   {Object}  broadphase  Хранилище пар для расчета столкновений
+ * @param   {Object}  bounds      Объект с координатами прямоугольника
+ * @param   {Object}  options     Объект с параметрами запроса
+ * @return  {Array}               Массив тел
+ */
+const queryRect = (broadphase, bounds, options) => {
+  const bodies = broadphase.queryBounds(bounds);
+
+  return bodies.filter(body => {
+    if(!isQueryable(body, options)) return false;
+
+    // Ширина и высота прямоугольника пересечения отрицательные,
+    // если пересечения нет
+    const intersection = getIntersection(bounds, body.bounds);
+    if(intersection.width < 0 || intersection.height < 0) return false;
+
+    // Круглое тело и тело с вершинами проверяются по форме
+    if(body.radius || body.vertices) {
+      return getShapeContact({ bounds: bounds }, body) !== null;
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Поиск тел, содержащих точку
+ *
+ * @param   {Object}  broadphase  Хранилище пар для расчета столкновений
+ * @param   {Object}  point       Координаты точки
+ * @param   {Object}  options     Объект с параметрами запроса
+ * @return  {Array}               Массив тел
+ */
+const queryPoint = (broadphase, point, options) => {
+  const bodies = broadphase.queryBounds({
+    min: point,
+    max: point
+  });
+
+  return bodies.filter(body => {
+    if(!isQueryable(body, options)) return false;
+    if(isOutOfRegion(point, body.bounds)) return false;
+
+    // Точка должна находиться внутри круга круглого тела
+    if(body.radius) {
+      const center = getBoundsCenter(body);
+      const dx = point.x - center.x;
+      const dy = point.y - center.y;
+
+      return dx * dx + dy * dy <= body.radius * body.radius;
+    }
+    // Точка должна находиться внутри многоугольника тела с вершинами
+    if(body.vertices) return isPointInPolygon(point, body.vertices);
+
+    return true;
+  });
+};
+
+/**
+ * Поиск тел, пересекающих круг
+ *
+ * @param   {Object}  broadphase  Хранилище пар для расчета столкновений
+ * @param   {Object}  center      Координаты центра круга
+ * @param   {Number}  radius      Радиус круга
+ * @param   {Object}  options     Объект с параметрами запроса
+ * @return  {Array}               Массив тел
+ */
+const queryCircle = (broadphase, center, radius, options) => {
+  const circle = {
+    bounds: {
+      min: { x: center.x - radius, y: center.y - radius },
+      max: { x: center.x + radius, y: center.y + radius }
+    },
+    radius: radius
+  };
+  const bodies = broadphase.queryBounds(circle.bounds);
+
+  return bodies.filter(body => {
+    if(!isQueryable(body, options)) return false;
+
+    // Круглое тело и тело с вершинами проверяются по форме
+    if(body.radius || body.vertices) {
+      return getShapeContact(circle, body) !== null;
+    }
+
+    // Расстояние от центра круга до ближайшей точки прямоугольника тела
+    const bounds = body.bounds;
+    const closestX = Math.max(bounds.min.x, Math.min(center.x, bounds.max.x));
+    const closestY = Math.max(bounds.min.y, Math.min(center.y, bounds.max.y));
+    const dx = center.x - closestX;
+    const dy = center.y - closestY;
+
+    return dx * dx + dy * dy <= radius * radius;
+  });
+};
+
+/**
+ * Поиск всех пересечений отрезка с телами
+ *
+ * @param   {Object}  broadphase  Хранилище пар для расчета столкновений
+ * @param   {Object}  from        Координаты начала луча
+ * @param   {Object}  to          Координаты конца луча
+ * @param   {Object}  options     Объект с параметрами запроса
+ * @return  {Array}               Массив попаданий, отсортированный
+ *                                по расстоянию от начала луча
+ */
+const raycastAll = (broadphase, from, to, options) => {
+  const hits = [];
+
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+
+  // Тела из регионов на пути луча
+  const bodies = broadphase.querySegment(from, to);
+
+  for(let i = 0, l = bodies.length; i < l; i++) {
+    const body = bodies[i];
+    if(!isQueryable(body, options)) continue;
+
+    // Пересечение проверяется по форме тела
+    const intersection = intersectSegmentBody(from, to, body);
+    if(!intersection) continue;
+
+    hits.push({
+      body: body,
+      point: {
+        x: from.x + dx * intersection.fraction,
+        y: from.y + dy * intersection.fraction
+      },
+      normal: intersection.normal,
+      distance: length * intersection.fraction,
+      fraction: intersection.fraction
+    });
+  }
+
+  hits.sort((a, b) => a.fraction - b.fraction);
+
+  return hits;
+};
+
+/**
+ * Поиск ближайшего пересечения отрезка с телами
+ *
+ * @param   {Object}  broadphase  Хранилище пар для расчета столкновений
+ * @param   {Object}  from        Координаты начала луча
+ * @param   {Object}  to          Координаты конца луча
+ * @param   {Object}  options     Объект с параметрами запроса
+ * @return  {Object}              Объект попадания или null
+ */
+const raycast = (broadphase, from, to, options) => {
+  const hits = raycastAll(broadphase, from, to, options);
+  return hits.length ? hits[0] : null;
+};
+
+export {
+  isQueryable,
+  getQueryOptions,
+  queryRect,
+  queryPoint,
+  queryCircle,
+  raycast,
+  raycastAll
+};
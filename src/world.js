@@ -1,34 +1,170 @@
-// Импорт класса сетки
-import Grid from './grid';
+// Импорт общих констант и функций
+import {
+  BODIES_TYPES,
+  peekNextId,
+  ensureNextId,
+  cloneData,
+  restoreBodyReferences
+} from './common';
+// Импорт класса событий
+import Emitter from './emitter';
+// Импорт классов хранилищ пар объектов для расчета столкновений
+import Grid from './broadphase/grid';
+import SweepAndPrune from './broadphase/sweep';
+import AABBTree from './broadphase/tree';
 // Импорт классов тел
 import BodyBullet from './body/bullet';
 import BodyBounce from './body/bounce';
 import BodyPlayer from './body/player';
 import BodyStatic from './body/static';
+import BodyKinematic from './body/kinematic';
 // Импорт функций физического движка
 import {
   updatePositions,
   removeBodies,
+  applyPendingSizes,
   detectCollisions,
   correctionPositions,
-  afterUpdate
+  afterUpdate,
+  updateSleeping
 } from './engine';
+// Импорт функций запросов к физическому миру
+import {
+  getQueryOptions,
+  queryRect,
+  queryPoint,
+  queryCircle,
+  raycast,
+  raycastAll
+} from './query';
+
+/**
+ * Классы тел по идентификаторам типов
+ * Необходимо для восстановления тел из сериализованного состояния
+ *
+ * @type  {Object}
+ */
+const BODIES_CLASSES = {
+  [BODIES_TYPES.STATIC]: BodyStatic,
+  [BODIES_TYPES.PLAYER]: BodyPlayer,
+  [BODIES_TYPES.BOUNCE]: BodyBounce,
+  [BODIES_TYPES.BULLET]: BodyBullet,
+  [BODIES_TYPES.KINEMATIC]: BodyKinematic
+};
+
+/**
+ * Классы хранилищ пар объектов для расчета столкновений по названиям
+ *
+ * Хранилище должно реализовывать:
+ * - свойство pairs, объект с парами тел { id, bodyA, bodyB }
+ *   для проверки столкновений по их идентификаторам
+ * - update(bodies), добавление новых тел и обновление пар
+ * - removeBody(body), удаление тела
+ * - queryBounds(bounds), тела, возможно пересекающие прямоугольник
+ * - querySegment(from, to), тела, возможно пересекающие отрезок
+ * - toJSON() и статический fromJSON(data, bodiesById) для сериализации
+ *
+ * @type  {Object}
+ */
+const BROADPHASES_CLASSES = {
+  grid: Grid,
+  sweep: SweepAndPrune,
+  tree: AABBTree
+};
+
+/**
+ * Создание хранилища пар объектов для расчета столкновений
+ *
+ * @param   {Object}         options             Объект с параметрами мира
+ * @param   {String|Object}  options.broadphase  Название хранилища
+ *                                               или экземпляр хранилища
+ * @param   {Number}         options.cellSize    Размер региона сетки
+ * @param   {Number}         options.treeMargin  Расширение обрамляющих
+ *                                               прямоугольников в дереве
+ * @return  {Object}                             Экземпляр хранилища
+ */
+const createBroadphase = options => {
+  const broadphase = options.broadphase || 'grid';
+
+  // Передан собственный экземпляр хранилища
+  if(typeof broadphase === 'object') return broadphase;
+
+  if(!BROADPHASES_CLASSES[broadphase]) {
+    throw new Error('Unknown broadphase: ' + broadphase);
+  }
+
+  return new BROADPHASES_CLASSES[broadphase]({
+    cellSize: options.cellSize,
+    margin: options.treeMargin
+  });
+};
+
+/**
+ * Восстановление бесконечных координат ограничивающего мир прямоугольника
+ * При преобразовании в JSON бесконечность заменяется на null
+ *
+ * @param   {Object}  bounds  Объект с координатами
+ *                            ограничивающего мир прямоугольника
+ * @return  {Object}          Объект с восстановленными координатами
+ */
+const restoreWorldBounds = bounds => {
+  const toNumber = (value, infinity) => value === null ? infinity : value;
 
-class World {
+  return {
+    min: {
+      x: toNumber(bounds.min.x, -Infinity),
+      y: toNumber(bounds.min.y, -Infinity)
+    },
+    max: {
+      x: toNumber(bounds.max.x, Infinity),
+      y: toNumber(bounds.max.y, Infinity)
+    }
+  };
+};
+
+/**
+ * События физического мира и данные, передаваемые в обработчики
+ * Те же события вызываются у тел, участвующих в них
+ *
+ * outOfWorld  - тело вышло за границы мира
+ *               { type, body }
+ * bodyRemoved - тело удалено из мира
+ *               { type, body }
+ * sensor      - пересечение с телом сенсором
+ *               { type, bodyA, bodyB }
+ * hit         - попадание пули
+ *               { type, bodyBullet, bodyHitted, point }
+ * collision   - коррекция позиции тела после столкновения
+ *               { type, bodyA, bodyB, resolvedBody, correction }
+ */
+class World extends Emitter {
   /**
    * Класс физического мира
    *
-   * @param  {Object}  options               Объект с параметрами
-   * @param  {Object}  options.bounds        Объект с координатами
-   *                                         ограничивающего мир прямоугольника
-   * @param  {Object}  options.bounds.min    Объект с координатами минимума
-   * @param  {Number}  options.bounds.min.x  Координата минимума по оси X
-   * @param  {Number}  options.bounds.min.y  Координата минимума по оси Y
-   * @param  {Object}  options.bounds.max    Объект с координатами максимума
-   * @param  {Number}  options.bounds.max.x  Координата максимума по оси X
-   * @param  {Number}  options.bounds.max.y  Координата максимума по оси Y
+   * @param  {Object}   options               Объект с параметрами
+   * @param  {Object}   options.bounds        Объект с координатами
+   *                                          ограничивающего мир прямоугольника
+   * @param  {Object}   options.bounds.min    Объект с координатами минимума
+   * @param  {Number}   options.bounds.min.x  Координата минимума по оси X
+   * @param  {Number}   options.bounds.min.y  Координата минимума по оси Y
+   * @param  {Object}   options.bounds.max    Объект с координатами максимума
+   * @param  {Number}   options.bounds.max.x  Координата максимума по оси X
+   * @param  {Number}   options.bounds.max.y  Координата максимума по оси Y
+   * @param  {Boolean}  options.fixedStep     Режим фиксированного шага
+   * @param  {Number}   options.stepSize      Размер шага обновления, мс
+   * @param  {Number}   options.maxSteps      Максимальное количество шагов
+   *                                          за одно обновление
+   * @param  {String}   options.broadphase    Хранилище пар для расчета
+   *                                          столкновений: grid, sweep
+   *                                          или tree, либо собственный
+   *                                          экземпляр хранилища
+   * @param  {Number}   options.cellSize      Размер региона сетки
+   * @param  {Number}   options.treeMargin    Расширение обрамляющих
+   *                                          прямоугольников в дереве
    */
   constructor(options) {
+    super();
+
     // Установка координат ограничивающего мир прямоугольника
     this.bounds = options.bounds || {
       min: { x: -Infinity, y: -Infinity },
@@ -38,14 +174,30 @@ class World {
     // Значение гравитации
     this.gravity = 0.001;
 
+    // Режим фиксированного шага
+    // Время копится и мир обновляется только шагами одинакового размера
+    this.isFixedStep = options.fixedStep ? true : false;
+    // Размер шага обновления физического мира, мс
+    // В режиме фиксированного шага - размер каждого шага,
+    // иначе - максимальный размер шага
+    this.stepSize = options.stepSize || 33;
+    // Максимальное количество шагов за одно обновление
+    // Оставшееся время отбрасывается
+    this.maxSteps = options.maxSteps || Infinity;
+    // Накопленное и еще не обработанное время
+    this.accumulator = 0;
+    // Коэффициент интерполяции между предыдущей и текущей позициями тел
+    // для отрисовки, в режиме нефиксированного шага всегда равен 1
+    this.alpha = 1;
+
     // Массив с телами
     this.bodies = [];
 
     // Массив с телами для удаления
     this.bodiesToRemove = [];
 
-    // Экземпляр класса сетки
-    this.broadphase = new Grid();
+    // Экземпляр хранилища пар объектов для расчета столкновений
+    this.broadphase = createBroadphase(options);
   }
 
   /**
@@ -57,17 +209,19 @@ class World {
    * @return  {Array}          Массив с сенсорами текущего кадра
    */
   update(delta) {
-    const maxDelta = 33;
-    let stepsCount = Math.ceil(delta / maxDelta);
+    if(this.isFixedStep) return this._updateFixed(delta);
+
+    const stepSize = this.stepSize;
+    let stepsCount = Math.min(Math.ceil(delta / stepSize), this.maxSteps);
 
     let sensors = [];
 
     while(stepsCount--) {
       let stepDelta;
-      if(delta < maxDelta) stepDelta = delta;
+      if(delta < stepSize) stepDelta = delta;
       else {
-        stepDelta = maxDelta;
-        delta -= maxDelta;
+        stepDelta = stepSize;
+        delta -= stepSize;
       }
 
       sensors = sensors.concat(this._update(stepDelta));
@@ -76,6 +230,56 @@ class World {
     return sensors;
   }
 
+  /**
+   * Обновление физического мира в режиме фиксированного шага
+   * Прошедшее время добавляется к накопленному, мир обновляется
+   * шагами одинакового размера, остаток используется для интерполяции
+   *
+   * @param   {Number}  delta  Время прошедшее с предыдущего кадра
+   * @return  {Array}          Массив с сенсорами текущего кадра
+   */
+  _updateFixed(delta) {
+    const stepSize = this.stepSize;
+    let stepsCount = 0;
+
+    let sensors = [];
+
+    this.accumulator += delta;
+
+    while(this.accumulator >= stepSize && stepsCount < this.maxSteps) {
+      sensors = sensors.concat(this._update(stepSize));
+
+      this.accumulator -= stepSize;
+      stepsCount++;
+    }
+
+    // Если достигнут лимит шагов, отбрасываем необработанные целые шаги,
+    // чтобы не накапливать отставание
+    if(this.accumulator >= stepSize) this.accumulator %= stepSize;
+
+    // Расчет коэффициента интерполяции
+    this.alpha = this.accumulator / stepSize;
+
+    return sensors;
+  }
+
+  /**
+   * Получение интерполированной позиции тела для отрисовки
+   *
+   * @param   {Body}    body  Экземпляр класса тела
+   * @return  {Object}        Объект с координатами
+   */
+  getInterpolatedPosition(body) {
+    const alpha = this.alpha;
+    const position = body.position;
+    const prevPosition = body.prevPosition;
+
+    return {
+      x: prevPosition.x + (position.x - prevPosition.x) * alpha,
+      y: prevPosition.y + (position.y - prevPosition.y) * alpha
+    };
+  }
+
   /**
    * Обновление физического мира
    *
@@ -94,13 +298,22 @@ class World {
     const sensors = [];
     // Массив для коллизий
     const collisions = [];
+    // Массив удаленных тел
+    const removedBodies = [];
+    // Массив изменений состояния сна тел
+    const sleepChanges = [];
+
+    // Применение отложенных изменений размеров тел
+    applyPendingSizes(bodies, broadphase);
 
     // Обновление позиций, проверка нахождения тел за границами мира
     // и добавление их в список сенсоров
     updatePositions(delta, bodies, bodiesToRemove, this.bounds, sensors);
+    this._emitSensors(sensors, 0);
 
     // Удаление из физического мира тел из списка для удаления
-    removeBodies(bodies, bodiesToRemove, broadphase);
+    removeBodies(bodies, bodiesToRemove, broadphase, removedBodies);
+    this._emitRemoved(removedBodies);
 
     // Обновление пар возможных коллизий
     broadphase.update(bodies);
@@ -109,18 +322,145 @@ class World {
     // Проверка коллизий по парам возможных коллизий,
     // добавление пуль в списки для удаления и
     // добавление сенсоров в список сенсоров
+    const sensorsCount = sensors.length;
     detectCollisions(broadphasePairs, bodiesToRemove, collisions, sensors);
+    this._emitSensors(sensors, sensorsCount);
 
     // Коррекция позиция объектов в зависимости от коллизий
     correctionPositions(collisions);
+    this._emitCollisions(collisions);
 
     // Вспомогательные действия после обновления физического мира
     afterUpdate(bodies);
 
+    // Засыпание покоящихся тел
+    updateSleeping(bodies, delta, sleepChanges);
+    this._emitSleepChanges(sleepChanges);
+
     // Возвращаем список сенсоров текущего кадра
     return sensors;
   }
 
+  /**
+   * Вызов события у мира и у участвующих в нем тел
+   *
+   * @param  {Object}  event   Объект с данными события
+   * @param  {Array}   bodies  Список тел, участвующих в событии
+   */
+  _emitEvent(event, bodies) {
+    this.emit(event.type, event);
+
+    for(let i = 0, l = bodies.length; i < l; i++) {
+      bodies[i].emit(event.type, event);
+    }
+  }
+
+  /**
+   * Вызов событий для записей списка сенсоров
+   *
+   * @param  {Array}   sensors    Список сенсоров текущего кадра
+   * @param  {Number}  fromIndex  Индекс первой записи для вызова событий
+   */
+  _emitSensors(sensors, fromIndex) {
+    for(let i = fromIndex, l = sensors.length; i < l; i++) {
+      const sensor = sensors[i];
+
+      // Выход тела за границы мира
+      if(sensor.isOutWorld) {
+        this._emitEvent({
+          type: 'outOfWorld',
+          body: sensor.body
+        }, [ sensor.body ]);
+      }
+      // Попадание пули
+      else if(sensor.isHit) {
+        this._emitEvent({
+          type: 'hit',
+          bodyBullet: sensor.bodyBullet,
+          bodyHitted: sensor.bodyHitted,
+          point: sensor.point
+        }, [ sensor.bodyBullet, sensor.bodyHitted ]);
+      }
+      // Рикошет пули
+      else if(sensor.isRicochet) {
+        this._emitEvent({
+          type: 'ricochet',
+          bodyBullet: sensor.bodyBullet,
+          bodyHitted: sensor.bodyHitted,
+          point: sensor.point,
+          normal: sensor.normal
+        }, [ sensor.bodyBullet, sensor.bodyHitted ]);
+      }
+      // Пересечение с телом сенсором
+      else {
+        this._emitEvent({
+          type: 'sensor',
+          bodyA: sensor.bodyA,
+          bodyB: sensor.bodyB
+        }, [ sensor.bodyA, sensor.bodyB ]);
+      }
+    }
+  }
+
+  /**
+   * Вызов событий удаления тел
+   *
+   * @param  {Array}  bodies  Список удаленных тел
+   */
+  _emitRemoved(bodies) {
+    for(let i = 0, l = bodies.length; i < l; i++) {
+      this._emitEvent({
+        type: 'bodyRemoved',
+        body: bodies[i]
+      }, [ bodies[i] ]);
+    }
+  }
+
+  /**
+   * Вызов событий столкновений
+   *
+   * @param  {Array}  collisions  Список коллизий текущего кадра
+   */
+  _emitCollisions(collisions) {
+    for(let i = 0, l = collisions.length; i < l; i++) {
+      const collision = collisions[i];
+
+      this._emitEvent({
+        type: 'collision',
+        bodyA: collision.bodyA,
+        bodyB: collision.bodyB,
+        resolvedBody: collision.resolvedBody,
+        correction: collision.correction
+      }, [ collision.bodyA, collision.bodyB ]);
+
+      // Приземление подвижного тела на другое подвижное тело
+      if(collision.landedBody) {
+        this._emitEvent({
+          type: 'land',
+          body: collision.landedBody,
+          groundBody: collision.groundBody
+        }, [ collision.landedBody, collision.groundBody ]);
+      }
+    }
+  }
+
+  /**
+   * Вызов событий засыпания и пробуждения тел
+   *
+   * @param  {Array}  sleepChanges  Список изменений состояния сна
+   *                                текущего кадра
+   */
+  _emitSleepChanges(sleepChanges) {
+    for(let i = 0, l = sleepChanges.length; i < l; i++) {
+      const change = sleepChanges[i];
+
+      this._emitEvent({
+        type: change.isSleeping ? 'sleep' : 'wake',
+        body: change.body
+      }, [ change.body ]);
+    }
+  }
+
   /**
    * Удаление объекта из физического мира
    *
@@ -131,6 +471,109 @@ class World {
     this.bodiesToRemove.push(body);
   }
 
+  /**
+   * Поиск тел, пересекающих прямоугольник
+   * Учитываются тела, уже добавленные в сетку (после первого обновления)
+   *
+   * @param   {Object}           bounds      Объект с координатами
+   *                                         прямоугольника
+   * @param   {Object}           bounds.min  Объект с координатами минимума
+   * @param   {Object}           bounds.max  Объект с координатами максимума
+   * @param   {Function|Object}  [filter]    Функция фильтрации тел
+   *                                         или объект с параметрами,
+   *                                         как у метода raycast
+   * @return  {Array}                        Массив тел
+   */
+  queryRect(bounds, filter) {
+    return queryRect(this.broadphase, bounds, getQueryOptions(filter));
+  }
+
+  /**
+   * Поиск тел, содержащих точку
+   *
+   * @param   {Object}           point     Координаты точки
+   * @param   {Function|Object}  [filter]  Функция фильтрации тел
+   *                                       или объект с параметрами
+   * @return  {Array}                      Массив тел
+   */
+  queryPoint(point, filter) {
+    return queryPoint(this.broadphase, point, getQueryOptions(filter));
+  }
+
+  /**
+   * Поиск тел, пересекающих круг
+   *
+   * @param   {Object}           center    Координаты центра круга
+   * @param   {Number}           radius    Радиус круга
+   * @param   {Function|Object}  [filter]  Функция фильтрации тел
+   *                                       или объект с параметрами
+   * @return  {Array}                      Массив тел
+   */
+  queryCircle(center, radius, filter) {
+    return queryCircle(
+      this.broadphase, center, radius, getQueryOptions(filter)
+    );
+  }
+
+  /**
+   * Поиск ближайшего тела на пути луча
+   * Учитываются тела, уже добавленные в сетку (после первого обновления)
+   *
+   * @param   {Object}    from                    Координаты начала луча
+   * @param   {Number}    from.x                  Координата по оси X
+   * @param   {Number}    from.y                  Координата по оси Y
+   * @param   {Object}    to                      Координаты конца луча
+   * @param   {Number}    to.x                    Координата по оси X
+   * @param   {Number}    to.y                    Координата по оси Y
+   * @param   {Object}    [options]               Объект с параметрами
+   * @param   {Number}    options.mask            Маска категорий тел,
+   *                                              по умолчанию все, кроме пуль
+   * @param   {Boolean}   options.includeSensors  Учитывать тела сенсоры
+   * @param   {Function}  options.filter          Функция фильтрации тел,
+   *                                              тело пропускается,
+   *                                              если она вернула false
+   * @return  {Object}                            Объект попадания
+   *                                              { body, point, normal,
+   *                                              distance, fraction }
+   *                                              или null
+   */
+  raycast(from, to, options) {
+    return raycast(this.broadphase, from, to, options || {});
+  }
+
+  /**
+   * Поиск всех тел на пути луча
+   * Параметры совпадают с параметрами метода raycast
+   *
+   * @param   {Object}  from       Координаты начала луча
+   * @param   {Object}  to         Координаты конца луча
+   * @param   {Object}  [options]  Объект с параметрами
+   * @return  {Array}              Массив попаданий, отсортированный
+   *                               по расстоянию от начала луча
+   */
+  raycastAll(from, to, options) {
+    return raycastAll(this.broadphase, from, to, options || {});
+  }
+
+  /**
+   * Изменение параметров фильтрации столкновений тела
+   * Тело удаляется из сетки и добавляется заново на следующем обновлении,
+   * чтобы пары возможных коллизий соответствовали новым параметрам
+   *
+   * @param  {Body}    body             Экземпляр класса тела
+   * @param  {Object}  filter           Объект с параметрами фильтрации
+   * @param  {Number}  filter.category  Битовая категория тела
+   * @param  {Number}  filter.mask      Маска категорий столкновений
+   * @param  {Number}  filter.group     Группа фильтрации столкновений
+   */
+  setBodyFilter(body, filter) {
+    if(filter.category !== undefined) body.category = filter.category;
+    if(filter.mask !== undefined) body.mask = filter.mask;
+    if(filter.group !== undefined) body.group = filter.group;
+
+    this.broadphase.removeBody(body);
+  }
+
   /**
    * Создание тела пули
    *
@@ -138,6 +581,9 @@ class World {
    * @return  {BodyBullet}           Экземпляр класса тела пули
    */
   createBulletBody(options) {
+    // Добавление в обхект с параметрами значения гравитации
+    options.gravity = this.gravity;
+
     const body = new BodyBullet(options);
     this.bodies.push(body);
     return body;
@@ -184,6 +630,123 @@ class World {
     this.bodies.push(body);
     return body;
   }
+
+  /**
+   * Создание кинематического тела
+   *
+   * @param   {Object}         options  Объект с параметрами тела
+   * @return  {BodyKinematic}           Экземпляр класса
+   *                                    кинематического тела
+   */
+  createKinematicBody(options) {
+    const body = new BodyKinematic(options);
+    this.bodies.push(body);
+    return body;
+  }
+
+  /**
+   * Сериализация полного состояния физического мира
+   *
+   * @return  {Object}  Объект с состоянием физического мира
+   */
+  toJSON() {
+    return {
+      bounds: cloneData(this.bounds),
+      gravity: this.gravity,
+      isFixedStep: this.isFixedStep,
+      stepSize: this.stepSize,
+      maxSteps: this.maxSteps,
+      accumulator: this.accumulator,
+      alpha: this.alpha,
+      nextId: peekNextId(),
+      bodies: this.bodies.map(body => body.toJSON()),
+      bodiesToRemove: this.bodiesToRemove.map(body => body.id),
+      broadphase: this.broadphase.toJSON()
+    };
+  }
+
+  /**
+   * Восстановление физического мира из сериализованного состояния
+   * Если передано хранилище пар, оно заполняется телами при следующем
+   * обновлении, иначе хранилище восстанавливается из состояния
+   *
+   * @param   {Object}         data                  Объект с состоянием
+   *                                                 физического мира
+   * @param   {Object}         [options]             Объект с параметрами
+   * @param   {String|Object}  options.broadphase    Название хранилища
+   *                                                 или экземпляр хранилища
+   * @param   {Number}         options.cellSize      Размер региона сетки
+   * @param   {Number}         options.treeMargin    Расширение обрамляющих
+   *                                                 прямоугольников в дереве
+   * @return  {World}                                Экземпляр класса
+   *                                                 физического мира
+   */
+  static fromJSON(data, options) {
+    options = options || {};
+
+    // Без переданного хранилища восстанавливается сохраненное,
+    // тип которого должен быть известен
+    const broadphaseType = data.broadphase ? data.broadphase.type : null;
+    if(!options.broadphase && !BROADPHASES_CLASSES[broadphaseType]) {
+      throw new Error(
+        'Unknown broadphase: ' + broadphaseType +
+        ', pass options.broadphase to restore the world'
+      );
+    }
+
+    const world = new World({
+      broadphase: options.broadphase,
+      cellSize: options.cellSize,
+      treeMargin: options.treeMargin,
+      bounds: restoreWorldBounds(data.bounds),
+      fixedStep: data.isFixedStep,
+      stepSize: data.stepSize,
+      // При преобразовании в JSON бесконечность заменяется на null
+      maxSteps: data.maxSteps
+    });
+    world.gravity = data.gravity;
+    world.accumulator = data.accumulator;
+    world.alpha = data.alpha;
+
+    // Восстановление тел
+    const bodiesById = {};
+    for(let i = 0, l = data.bodies.length; i < l; i++) {
+      const bodyData = data.bodies[i];
+      const body = BODIES_CLASSES[bodyData.type].fromJSON(bodyData);
+
+      bodiesById[body.id] = body;
+      world.bodies.push(body);
+    }
+
+    // Восстановление ссылок тел на другие тела
+    for(let i = 0, l = world.bodies.length; i < l; i++) {
+      restoreBodyReferences(world.bodies[i], bodiesById);
+    }
+
+    // Восстановление списка тел для удаления
+    for(let i = 0, l = data.bodiesToRemove.length; i < l; i++) {
+      const body = bodiesById[data.bodiesToRemove[i]];
+      if(body) world.bodiesToRemove.push(body);
+    }
+
+    // Восстановление хранилища пар объектов для расчета столкновений
+    if(options.broadphase) {
+      // Регионы сетки сохраненного хранилища не относятся к переданному,
+      // тела добавляются в него заново
+      for(let i = 0, l = world.bodies.length; i < l; i++) {
+        delete(world.bodies[i].regions);
+        delete(world.bodies[i].regionsString);
+      }
+    } else {
+      const BroadphaseClass = BROADPHASES_CLASSES[broadphaseType];
+      world.broadphase = BroadphaseClass.fromJSON(data.broadphase, bodiesById);
+    }
+
+    // Новые тела не должны получать идентификаторы восстановленных
+    ensureNextId(data.nextId);
+
+    return world;
+  }
 }
 
 export default World;